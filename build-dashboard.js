@@ -0,0 +1,21 @@
+const fs = require('fs');
+const path = require('path');
+const { loadWatchlist, loadPriceHistory } = require('./check-flights');
+const { buildDashboard } = require('./lib/dashboard');
+
+const DASHBOARD_DIR = process.env.DASHBOARD_DIR || 'site';
+
+// Build the static price dashboard from the price history
+function main() {
+    const watchlist = loadWatchlist();
+    const { trips } = watchlist;
+    const history = loadPriceHistory(watchlist);
+
+    fs.mkdirSync(DASHBOARD_DIR, { recursive: true });
+    const file = path.join(DASHBOARD_DIR, 'index.html');
+    fs.writeFileSync(file, buildDashboard({ trips, history }));
+
+    console.log(`Dashboard written to ${file}`);
+}
+
+main();
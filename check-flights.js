@@ -1,168 +1,420 @@
-const fetch = require('node-fetch');
 const fs = require('fs');
+const path = require('path');
+const { createProvider } = require('./lib/providers');
+const { normalizeTimeWindows, matchesLegWindows } = require('./lib/time-windows');
+const { getCheckedBags, applyFareDetailsToFlights } = require('./lib/fares');
+const { ALERT_TITLES, normalizeAlertRules, evaluateAlertRules, recordDailyLows, describePriceChange } = require('./lib/alerts');
+const { createNotifier, createSilentNotifier } = require('./lib/notifiers');
+const { describeTripSearch } = require('./lib/notifiers/format');
+const { itineraryKey, recordOfferSnapshots, compactOfferHistory, findOfferSeries } = require('./lib/price-series');
+const { analyzePriceTrend } = require('./lib/analysis');
+const { normalizeScoring, rankFlights } = require('./lib/scoring');
+const { normalizeAirports, buildRoutes, describeRoute } = require('./lib/airports');
+const { normalizePinnedFlights, extraPinnedDates, checkPinnedFlights, CHANGE_TITLES } = require('./lib/pinned');
+const { parseItinerarySegments, marketingCarriers, normalizeConnections, matchesConnections } = require('./lib/itinerary');
+const { oneWayLegs, pairSeparateTickets } = require('./lib/separate-tickets');
+const { parseCommandLine, formatTable, USAGE } = require('./lib/cli');
+const { createApiServer } = require('./lib/server');
+const { createStorage } = require('./lib/storage');
+const { normalizeHealthSettings, tripStatus, recordRun, unrecordedRunProblem, nextCheckTime } = require('./lib/health');
+const { localDate, normalizeSchedules, dueSchedules, overdueSchedules, latestSlot, describeSchedule } = require('./lib/schedules');
+const { configureReferenceData, refreshReferenceData, getAirlineName } = require('./lib/reference');
+const { normalizeTravelers, normalizeCabin, normalizePriceBasis, toBookingPrice, parseTravelerPrices, offerCabins } = require('./lib/travelers');
+const { renderEmail } = require('./lib/email');
+const { formatTripDate } = require('./lib/email/partials');
 
 // Configuration from environment variables
 const CONFIG = {
     amadeusApiKey: process.env.AMADEUS_API_KEY,
     amadeusApiSecret: process.env.AMADEUS_API_SECRET,
-    emailUser: process.env.EMAIL_USER,
-    emailPass: process.env.EMAIL_PASSWORD,
-    recipientEmail: process.env.RECIPIENT_EMAIL
+    flightProvider: process.env.FLIGHT_PROVIDER || 'amadeus',
+    amadeusEnvironment: process.env.AMADEUS_ENV || 'test', // test or production
+    amadeusBaseUrl: process.env.AMADEUS_BASE_URL,
+    amadeusMaxOffers: parseInt(process.env.AMADEUS_MAX_OFFERS || '50', 10),
+    amadeusTimeoutMs: parseInt(process.env.AMADEUS_TIMEOUT_MS || '20000', 10),
+    amadeusTokenCache: process.env.AMADEUS_TOKEN_CACHE,
+    recordDir: process.env.RECORD_DIR,
+    replayDir: process.env.REPLAY_DIR,
+    checkIntervalMinutes: parseInt(process.env.CHECK_INTERVAL_MINUTES || '60', 10), // how often the scheduler (or serve) runs checks
+    serverHost: process.env.SERVER_HOST || '127.0.0.1',
+    serverToken: process.env.SERVER_TOKEN || null,
+    storageBackend: process.env.STORAGE_BACKEND || 'json', // json or sqlite, see lib/storage
+    historyFile: process.env.PRICE_HISTORY_FILE, // defaults to price-history.json or price-history.db
+    referenceCacheFile: process.env.REFERENCE_CACHE_FILE || 'reference-data.json', // airline and airport names, see lib/reference
+    referenceMaxAgeDays: parseInt(process.env.REFERENCE_MAX_AGE_DAYS || '30', 10)
 };
 
-const FLIGHT_CONFIG = {
-    origin: 'DEL',
-    destination: 'GOI',
-    outboundDate: '2025-11-14',
-    returnDate: '2025-11-18',
-    departureTimeStart: '18:00',
-    returnTimeStart: '12:00',
-    returnTimeEnd: '17:00',
+const WATCHLIST_FILE = process.env.WATCHLIST_FILE || 'watchlist.json';
+
+// Defaults applied to every trip unless the watchlist overrides them
+const TRIP_DEFAULTS = {
+    openJaw: true, // with several airports on an end, also search in-to-one, home-from-another pairs (lib/airports.js)
+    separateTickets: true, // also search each leg one-way and pair two tickets (lib/separate-tickets.js)
+    maxSeparateTicketPairs: 10, // most pairs of one-way tickets kept per search
+    timeWindows: null, // see lib/time-windows.js
     adults: 1,
+    children: 0, // aged 2-11
+    infants: 0, // under 2, on an adult's lap
+    cabin: null, // ECONOMY, PREMIUM_ECONOMY, BUSINESS or FIRST; any when unset
+    nonStop: false, // only search non-stop flights
+    maxPrice: null, // skip offers above this price
+    pricesPer: 'booking', // or 'person': maxPrice, priceDropThreshold and alert amounts per seated traveler (lib/travelers.js)
     maxStops: 1,
-    excludedAirlines: ['I5', 'AK'], // Air India Express, AirAsia
-    priceDropThreshold: 300,
-    refundableMarkup: 0.15 // 15% markup estimate for refundable
+    excludedAirlines: [],
+    priceDropThreshold: 300, // used by the default alert rule when alertRules is empty
+    alertRules: [], // see lib/alerts.js
+    quietHours: null, // { start: '23:00', end: '07:00' }, applies to every alert rule
+    timezone: 'Asia/Kolkata', // for quiet hours and where the trip's days start and end
+    refundableMarkup: 0.15, // fallback estimate when real refundable fares can't be fetched
+    outboundFlexDays: 0, // search +/- N days around outboundDate
+    returnFlexDays: 0, // search +/- N days around returnDate
+    minTripDays: null,
+    maxTripDays: null,
+    connections: null, // layover limits and mixed-carrier rules, see lib/itinerary.js
+    scoring: null, // best-value weights and preferences, see lib/scoring.js
+    pinnedFlights: [], // specific itineraries to follow, see lib/pinned.js
+    lowSeatsThreshold: 3 // warn when a pinned flight has this many bookable seats or fewer
 };
 
-const PRICE_HISTORY_FILE = 'price-history.json';
+const REQUIRED_TRIP_FIELDS = ['origin', 'destination', 'outboundDate', 'returnDate'];
 
-// Get Amadeus Access Token
-async function getAmadeusToken() {
-    try {
-        const response = await fetch('https://test.api.amadeus.com/v1/security/oauth2/token', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/x-www-form-urlencoded'
-            },
-            body: `grant_type=client_credentials&client_id=${CONFIG.amadeusApiKey}&client_secret=${CONFIG.amadeusApiSecret}`
-        });
+// Load trips (with defaults filled in) and notification settings from the watchlist file
+function loadWatchlist(file = WATCHLIST_FILE) {
+    const watchlist = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const defaults = { ...TRIP_DEFAULTS, ...(watchlist.defaults || {}) };
 
-        const data = await response.json();
-        return data.access_token;
-    } catch (error) {
-        console.error('Error getting Amadeus token:', error.message);
-        throw error;
+    if (!Array.isArray(watchlist.trips) || watchlist.trips.length === 0) {
+        throw new Error(`No trips defined in ${file}`);
     }
-}
 
-// Search flights using Amadeus API
-async function searchFlights(token) {
-    try {
-        const url = new URL('https://test.api.amadeus.com/v2/shopping/flight-offers');
-        url.searchParams.append('originLocationCode', FLIGHT_CONFIG.origin);
-        url.searchParams.append('destinationLocationCode', FLIGHT_CONFIG.destination);
-        url.searchParams.append('departureDate', FLIGHT_CONFIG.outboundDate);
-        url.searchParams.append('returnDate', FLIGHT_CONFIG.returnDate);
-        url.searchParams.append('adults', FLIGHT_CONFIG.adults);
-        url.searchParams.append('currencyCode', 'INR');
-        url.searchParams.append('max', '50');
-
-        const response = await fetch(url, {
-            headers: {
-                'Authorization': `Bearer ${token}`
-            }
-        });
+    const seenIds = new Set();
+    const trips = watchlist.trips.map((entry, index) => {
+        const trip = { ...defaults, ...entry };
 
-        if (!response.ok) {
-            throw new Error(`Amadeus API error: ${response.status}`);
+        const missing = REQUIRED_TRIP_FIELDS.filter(field => !trip[field]);
+        if (missing.length > 0) {
+            throw new Error(`Trip #${index + 1} in ${file} is missing: ${missing.join(', ')}`);
         }
 
-        const data = await response.json();
-        return parseAmadeusFlights(data);
-    } catch (error) {
-        console.error('Error fetching flights:', error.message);
-        return [];
+        const { origins, destinations } = normalizeAirports(trip);
+        trip.id = trip.id || `${origins.join('+')}-${destinations.join('+')}-${trip.outboundDate}`;
+        trip.origins = origins;
+        trip.destinations = destinations;
+        trip.origin = origins.join('/');
+        trip.destination = destinations.join('/');
+        trip.name = trip.name || `${trip.origin} to ${trip.destination}`;
+        trip.travelers = normalizeTravelers(trip);
+        trip.cabin = normalizeCabin(trip);
+        trip.pricesPer = normalizePriceBasis(trip.pricesPer, `Trip "${trip.id}"`);
+        trip.maxPrice = toBookingPrice(trip.maxPrice, trip.pricesPer, trip.travelers);
+        if (trip.nonStop) trip.maxStops = 0;
+        trip.timeWindows = normalizeTimeWindows(trip);
+        trip.alertRules = normalizeAlertRules(trip);
+        trip.connections = normalizeConnections(trip);
+        trip.scoring = normalizeScoring(trip);
+        trip.pinnedFlights = normalizePinnedFlights(trip);
+
+        if (seenIds.has(trip.id)) {
+            throw new Error(`Duplicate trip id "${trip.id}" in ${file}`);
+        }
+        seenIds.add(trip.id);
+
+        return trip;
+    });
+
+    return {
+        trips,
+        notifications: watchlist.notifications,
+        historySettings: watchlist.history,
+        healthSettings: normalizeHealthSettings(watchlist.health),
+        summarySchedules: normalizeSchedules(
+            (watchlist.notifications && watchlist.notifications.schedules) || undefined,
+            watchlist.notifications ? Object.keys(watchlist.notifications.channels || {}) : ['email']
+        )
+    };
+}
+
+// Create the flight provider selected by FLIGHT_PROVIDER
+function createFlightProvider() {
+    return createProvider(CONFIG.flightProvider, {
+        apiKey: CONFIG.amadeusApiKey,
+        apiSecret: CONFIG.amadeusApiSecret,
+        environment: CONFIG.amadeusEnvironment,
+        baseUrl: CONFIG.amadeusBaseUrl,
+        maxOffers: CONFIG.amadeusMaxOffers,
+        timeoutMs: CONFIG.amadeusTimeoutMs,
+        tokenCacheFile: CONFIG.amadeusTokenCache,
+        recordDir: CONFIG.recordDir,
+        dir: CONFIG.replayDir
+    });
+}
+
+// Search query for a trip's travelers and fare filters
+function searchQuery(trip, route) {
+    return {
+        ...route,
+        adults: trip.travelers.adults,
+        children: trip.travelers.children,
+        infants: trip.travelers.infants,
+        cabin: trip.cabin,
+        nonStop: trip.nonStop,
+        maxPrice: trip.maxPrice
+    };
+}
+
+// Search each leg one-way and pair the tickets (lib/separate-tickets.js). Tickets are
+// kept in `legCache` by leg and date, so a date matrix searches each day once.
+async function searchSeparateTickets(provider, trip, dates, roundTrips, legCache) {
+    const tickets = { outbound: [], return: [] };
+    const errors = [];
+    const legs = oneWayLegs(trip, dates);
+
+    for (const leg of legs) {
+        const key = `${leg.origin}-${leg.destination}-${leg.date}`;
+        try {
+            if (!legCache.has(key)) {
+                const data = await provider.searchOffers(searchQuery(trip, {
+                    origin: leg.origin,
+                    destination: leg.destination,
+                    outboundDate: leg.date
+                }));
+                await refreshReferenceData(provider, data);
+                legCache.set(key, parseOneWayOffers(data, trip, leg.direction));
+            }
+            tickets[leg.direction].push(...legCache.get(key));
+        } catch (error) {
+            console.error(`Error fetching one-way flights for ${leg.origin}-${leg.destination}:`, error.message);
+            errors.push(`${leg.origin}-${leg.destination} one-way: ${error.message}`);
+        }
     }
+
+    const flights = pairSeparateTickets(tickets, roundTrips, trip, dates)
+        .filter(flight => matchesTripFilters(flight, trip))
+        .slice(0, trip.maxSeparateTicketPairs);
+    return { flights, searches: legs.length, errors };
 }
 
-// Parse Amadeus flight response
-function parseAmadeusFlights(data) {
-    if (!data || !data.data) return [];
+// Search every airport combination for a trip and merge the results, plus two
+// one-way tickets paired up when the trip has separateTickets on.
+// Returns { flights, searches, errors } so callers can tell failed searches from empty ones.
+// options: { applyFilters, legCache } - applyFilters as for parseAmadeusFlights (pairs of
+// one-way tickets always pass the filters); legCache shares one-way results between calls.
+async function searchTrip(provider, trip, dates = { outboundDate: trip.outboundDate, returnDate: trip.returnDate }, { applyFilters = true, legCache = new Map() } = {}) {
+    const routes = buildRoutes(trip);
+    const flights = [];
+    const errors = [];
 
-    const flights = data.data.map(offer => {
-        const outbound = offer.itineraries[0];
-        const returnFlight = offer.itineraries[1];
-        const price = parseFloat(offer.price.total);
-        
-        // Get airline from first segment
-        const airlineCode = outbound.segments[0].carrierCode;
-        const airlineName = getAirlineName(airlineCode);
-        
-        // Check if excluded
-        if (FLIGHT_CONFIG.excludedAirlines.includes(airlineCode)) {
-            return null;
+    for (const route of routes) {
+        try {
+            const data = await provider.searchOffers(searchQuery(trip, {
+                origin: route.origin,
+                destination: route.destination,
+                ...(route.openJaw ? { returnOrigin: route.returnOrigin, returnDestination: route.returnDestination } : {}),
+                outboundDate: dates.outboundDate,
+                returnDate: dates.returnDate
+            }));
+            await refreshReferenceData(provider, data);
+            flights.push(...parseAmadeusFlights(data, trip, dates, { applyFilters }));
+        } catch (error) {
+            console.error(`Error fetching flights for ${describeRoute(route)}:`, error.message);
+            errors.push(`${describeRoute(route)}: ${error.message}`);
         }
+    }
 
-        // Get flight details
-        const outboundDeparture = outbound.segments[0].departure.at;
-        const outboundArrival = outbound.segments[outbound.segments.length - 1].arrival.at;
-        const outboundDuration = outbound.duration;
-        const outboundStops = outbound.segments.length - 1;
+    if (!trip.separateTickets) return { flights, searches: routes.length, errors };
 
-        const returnDeparture = returnFlight.segments[0].departure.at;
-        const returnArrival = returnFlight.segments[returnFlight.segments.length - 1].arrival.at;
-        const returnDuration = returnFlight.duration;
-        const returnStops = returnFlight.segments.length - 1;
+    const separate = await searchSeparateTickets(provider, trip, dates, flights, legCache);
+    return {
+        flights: [...flights, ...separate.flights],
+        searches: routes.length + separate.searches,
+        errors: [...errors, ...separate.errors]
+    };
+}
+
+// Search flights through the provider (defaults to the trip's target dates); failed searches are logged and skipped
+async function searchFlights(provider, trip, dates, options) {
+    return (await searchTrip(provider, trip, dates, options)).flights;
+}
 
-        // Check outbound time constraint (after 6 PM)
-        const depTime = new Date(outboundDeparture).getHours();
-        if (depTime < 18) return null;
+// All outbound/return date pairs within the trip's flexibility window and trip length limits
+function buildDatePairs(trip) {
+    const pairs = [];
+    for (let out = -trip.outboundFlexDays; out <= trip.outboundFlexDays; out++) {
+        for (let ret = -trip.returnFlexDays; ret <= trip.returnFlexDays; ret++) {
+            const outboundDate = addDays(trip.outboundDate, out);
+            const returnDate = addDays(trip.returnDate, ret);
+            const tripDays = daysBetween(outboundDate, returnDate);
 
-        // Check return time constraint (12 PM - 5 PM)
-        const retTime = new Date(returnDeparture).getHours();
-        if (retTime < 12 || retTime >= 17) return null;
+            if (tripDays < 0) continue;
+            if (trip.minTripDays !== null && tripDays < trip.minTripDays) continue;
+            if (trip.maxTripDays !== null && tripDays > trip.maxTripDays) continue;
 
-        // Check stops
-        if (outboundStops > FLIGHT_CONFIG.maxStops || returnStops > FLIGHT_CONFIG.maxStops) {
-            return null;
+            pairs.push({ outboundDate, returnDate });
         }
+    }
+    return pairs;
+}
 
-        return {
+// Search every date pair and keep the cheapest fare for each one
+async function searchDateMatrix(provider, trip) {
+    const pairs = buildDatePairs(trip);
+    const cells = {};
+    const legCache = new Map();
+
+    for (const dates of pairs) {
+        const flights = await searchFlights(provider, trip, dates, { legCache });
+        const cheapest = flights.length > 0
+            ? flights.reduce((min, f) => f.price < min.price ? f : min)
+            : null;
+        cells[`${dates.outboundDate}|${dates.returnDate}`] = cheapest;
+    }
+
+    return {
+        outboundDates: [...new Set(pairs.map(p => p.outboundDate))].sort(),
+        returnDates: [...new Set(pairs.map(p => p.returnDate))].sort(),
+        cells
+    };
+}
+
+// Does one leg pass the trip's airline, time window, stop and connection filters?
+// `direction` is 'outbound' or 'return'.
+function matchesLegFilters(leg, direction, trip) {
+    // Any segment sold or flown by an excluded airline
+    if (leg.segments.some(s => trip.excludedAirlines.includes(s.carrierCode) || trip.excludedAirlines.includes(s.operatingCarrierCode))) {
+        return false;
+    }
+
+    // Time windows (airport-local wall-clock times)
+    if (!matchesLegWindows(leg, trip.timeWindows[direction])) {
+        return false;
+    }
+
+    // Stops and layovers
+    return leg.stops <= trip.maxStops && matchesConnections(leg, trip.connections);
+}
+
+// Does a parsed flight pass the trip's price, airline, time window, stop and connection filters?
+function matchesTripFilters(flight, trip) {
+    if (trip.maxPrice && flight.price > trip.maxPrice) {
+        return false;
+    }
+    if (flight.mixedCarrier && !trip.connections.allowMixedCarriers) {
+        return false;
+    }
+    return matchesLegFilters(flight.outbound, 'outbound', trip) && matchesLegFilters(flight.return, 'return', trip);
+}
+
+// One leg of a parsed flight from an Amadeus itinerary
+function parseLeg(itinerary, dictionaries) {
+    const { segments, layovers } = parseItinerarySegments(itinerary, dictionaries);
+    const departureAt = itinerary.segments[0].departure.at;
+    const arrivalAt = itinerary.segments[itinerary.segments.length - 1].arrival.at;
+
+    return {
+        from: segments[0].from.airport,
+        to: segments[segments.length - 1].to.airport,
+        departure: formatDateTime(departureAt),
+        arrival: formatDateTime(arrivalAt),
+        departureAt,
+        arrivalAt,
+        duration: formatDuration(itinerary.duration),
+        stops: itinerary.segments.length - 1,
+        flightNumbers: segments.map(s => s.flightNumber),
+        segments,
+        layovers
+    };
+}
+
+// Parse Amadeus flight response. Pass { applyFilters: false } to keep offers the trip's filters would drop.
+function parseAmadeusFlights(data, trip, dates = { outboundDate: trip.outboundDate, returnDate: trip.returnDate }, { applyFilters = true } = {}) {
+    if (!data || !data.data) return [];
+
+    const flights = data.data.map(offer => {
+        const [outbound, returnFlight] = offer.itineraries;
+        const price = parseFloat(offer.price.total);
+
+        const outboundLeg = parseLeg(outbound, data.dictionaries);
+        const returnLeg = parseLeg(returnFlight, data.dictionaries);
+
+        // Airline from the marketing carriers; a mixed itinerary is listed under its ticketing airline
+        const carriers = marketingCarriers([outboundLeg, returnLeg]);
+        const mixedCarrier = carriers.length > 1;
+        const airlineCode = mixedCarrier
+            ? (offer.validatingAirlineCodes && offer.validatingAirlineCodes[0]) || carriers[0]
+            : carriers[0];
+        const carrierNames = (data.dictionaries && data.dictionaries.carriers) || {};
+        const airlineName = carriers.map(code => getAirlineName(code, carrierNames[code])).join(' + ');
+
+        const flight = {
             id: offer.id,
             airline: airlineName,
             airlineCode: airlineCode,
+            carriers,
+            mixedCarrier,
+            separateTickets: false,
+            openJaw: outboundLeg.to !== returnLeg.from || outboundLeg.from !== returnLeg.to,
+            outboundDate: dates.outboundDate,
+            returnDate: dates.returnDate,
             price: Math.round(price),
-            refundablePrice: Math.round(price * (1 + FLIGHT_CONFIG.refundableMarkup)),
-            outbound: {
-                departure: formatDateTime(outboundDeparture),
-                arrival: formatDateTime(outboundArrival),
-                duration: formatDuration(outboundDuration),
-                stops: outboundStops
-            },
-            return: {
-                departure: formatDateTime(returnDeparture),
-                arrival: formatDateTime(returnArrival),
-                duration: formatDuration(returnDuration),
-                stops: returnStops
+            travelerPrices: parseTravelerPrices(offer),
+            cabins: offerCabins(offer),
+            seats: typeof offer.numberOfBookableSeats === 'number' ? offer.numberOfBookableSeats : null,
+            refundablePrice: Math.round(price * (1 + trip.refundableMarkup)),
+            fare: {
+                refundableSource: 'estimate',
+                checkedBags: getCheckedBags(offer),
+                changeFee: null
             },
-            totalDuration: parseDuration(outboundDuration) + parseDuration(returnDuration)
+            outbound: outboundLeg,
+            return: returnLeg,
+            totalDuration: parseDuration(outbound.duration) + parseDuration(returnFlight.duration),
+            offer
         };
-    }).filter(f => f !== null);
+        flight.itineraryKey = itineraryKey(flight);
+
+        return flight;
+    });
 
-    return flights;
+    return applyFilters ? flights.filter(flight => matchesTripFilters(flight, trip)) : flights;
 }
 
-function getAirlineName(code) {
-    const airlines = {
-        '6E': 'IndiGo',
-        'UK': 'Vistara',
-        'SG': 'SpiceJet',
-        'AI': 'Air India',
-        'I5': 'Air India Express',
-        'AK': 'AirAsia',
-        'G8': 'Go First'
-    };
-    return airlines[code] || code;
+// Parse a one-way Amadeus response into tickets for lib/separate-tickets.js, keeping
+// the ones whose leg passes the trip's filters for `direction`
+function parseOneWayOffers(data, trip, direction) {
+    if (!data || !data.data) return [];
+
+    const carrierNames = (data.dictionaries && data.dictionaries.carriers) || {};
+    return data.data.map(offer => {
+        const [itinerary] = offer.itineraries;
+        const leg = parseLeg(itinerary, data.dictionaries);
+        const carriers = marketingCarriers([leg]);
+        const names = Object.fromEntries(carriers.map(code => [code, getAirlineName(code, carrierNames[code])]));
+
+        return {
+            id: offer.id,
+            airline: carriers.map(code => names[code]).join(' + '),
+            carriers,
+            names,
+            price: Math.round(parseFloat(offer.price.total)),
+            minutes: parseDuration(itinerary.duration),
+            leg,
+            cabins: offerCabins(offer),
+            seats: typeof offer.numberOfBookableSeats === 'number' ? offer.numberOfBookableSeats : null,
+            checkedBags: getCheckedBags(offer),
+            offer
+        };
+    }).filter(ticket => matchesLegFilters(ticket.leg, direction, trip));
 }
 
+// Format an airport-local Amadeus timestamp without shifting it into the runner's timezone
 function formatDateTime(isoString) {
-    const date = new Date(isoString);
+    const date = new Date(`${isoString.slice(0, 19)}Z`);
     return date.toLocaleString('en-IN', {
         hour: '2-digit',
         minute: '2-digit',
         day: '2-digit',
-        month: 'short'
+        month: 'short',
+        timeZone: 'UTC'
     });
 }
 
@@ -173,6 +425,16 @@ function formatDuration(isoDuration) {
     return `${hours}h ${minutes}m`;
 }
 
+function addDays(dateString, days) {
+    const date = new Date(`${dateString}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().split('T')[0];
+}
+
+function daysBetween(fromDate, toDate) {
+    return Math.round((new Date(`${toDate}T00:00:00Z`) - new Date(`${fromDate}T00:00:00Z`)) / 86400000);
+}
+
 function parseDuration(isoDuration) {
     const match = isoDuration.match(/PT(\d+H)?(\d+M)?/);
     const hours = match[1] ? parseInt(match[1]) : 0;
@@ -202,322 +464,221 @@ function categorizeFlights(flights) {
     return { fastest, cheapest, bestOneStop };
 }
 
-// Load price history
-function loadPriceHistory() {
+// Price history storage (lib/storage). A legacy single-trip history ({ daily, lastCheck })
+// is migrated to the watchlist's first trip.
+function createHistoryStorage(watchlist) {
+    return createStorage(CONFIG.storageBackend, {
+        file: CONFIG.historyFile,
+        legacyTripId: watchlist.trips[0].id
+    });
+}
+
+// Load price history for reading; checks load and save it under the storage lock instead
+function loadPriceHistory(watchlist) {
+    const storage = createHistoryStorage(watchlist);
     try {
-        if (fs.existsSync(PRICE_HISTORY_FILE)) {
-            const data = fs.readFileSync(PRICE_HISTORY_FILE, 'utf8');
-            return JSON.parse(data);
-        }
-    } catch (error) {
-        console.error('Error loading price history:', error.message);
+        return storage.load();
+    } finally {
+        storage.close();
     }
-    return { daily: [], lastCheck: null };
 }
 
-// Save price history
-function savePriceHistory(history) {
-    try {
-        fs.writeFileSync(PRICE_HISTORY_FILE, JSON.stringify(history, null, 2));
-    } catch (error) {
-        console.error('Error saving price history:', error.message);
+// Get (or create) the history bucket for a single trip
+function getTripHistory(history, trip) {
+    if (!history.trips[trip.id]) {
+        history.trips[trip.id] = { daily: [], lastCheck: null };
     }
+    return history.trips[trip.id];
 }
 
-// Check if it's 10 AM
-function is10AM() {
-    const now = new Date();
-    // Convert to IST (UTC+5:30)
-    const istOffset = 5.5 * 60 * 60 * 1000; // 5 hours 30 minutes in milliseconds
-    const istTime = new Date(now.getTime() + istOffset);
-    const istHour = istTime.getUTCHours();
-    return istHour === 10;
+// Today's date string in a timezone
+function getTodayString(timezone) {
+    return localDate(timezone);
 }
 
-// Get today's date string
-function getTodayString() {
-    return new Date().toISOString().split('T')[0];
+// Channels for a summary sent for the due schedules: each schedule's own channels, or the summary route
+function summaryChannels(notifier, message, due) {
+    return [...new Set(due.flatMap(({ schedule }) => schedule.channels || notifier.channelsFor(message)))];
 }
 
-// Send email
-async function sendEmail(subject, htmlContent) {
-    if (!CONFIG.emailUser || !CONFIG.emailPass) {
-        console.log('Email not configured, skipping...');
-        return;
+// Mark the due schedules' slots as handled for a trip
+function recordSummarySlots(tripHistory, due) {
+    tripHistory.summaries = tripHistory.summaries || {};
+    for (const { schedule, slot } of due) tripHistory.summaries[schedule.name] = slot.key;
+}
+
+// Timezone a message's times are shown in: its trip's, or the one a digest's trips share
+function messageTimezone(message) {
+    const trips = message.trip ? [message.trip] : (message.alerts || []).map(({ trip }) => trip);
+    const zones = [...new Set(trips.map(trip => trip.timezone))];
+    return zones.length === 1 ? zones[0] : undefined;
+}
+
+// Attach the rendered email (HTML and plain-text parts) to a message
+function withEmail(message, timezone = messageTimezone(message)) {
+    return { ...message, ...renderEmail(message, { nextCheck: nextCheckTime(CONFIG.checkIntervalMinutes), timezone }) };
+}
+
+// Generate daily summary email
+function generateDailySummaryEmail(trip, categories, matrix = null, analysis = null, bestValue = [], pinned = []) {
+    return withEmail({ kind: 'summary', trip, categories, matrix, analysis, bestValue, pinned }).html;
+}
+
+// Generate alert email (price drops, target price, all-time low, price rise)
+function generateAlertEmail(trip, alert) {
+    return withEmail({ kind: 'alert', trip, alert }).html;
+}
+
+function buildPinnedMessage(trip, change) {
+    return withEmail({
+        kind: 'pinned',
+        subject: `${CHANGE_TITLES[change.type]}: ${trip.name} ${change.pin.label}`,
+        trip,
+        change
+    });
+}
+
+// Check the trip's pinned flights against this run's offers and send a message for every change.
+// Pins on other dates get their own searches. Returns each pin's status for the summary.
+async function trackPinnedFlights(trip, { provider, notifier }, offers, tripHistory) {
+    if (trip.pinnedFlights.length === 0) return [];
+
+    const allOffers = [...offers];
+    const searchedDates = offers.length > 0 ? [`${trip.outboundDate}|${trip.returnDate}`] : [];
+    for (const dates of extraPinnedDates(trip)) {
+        const extra = await searchFlights(provider, trip, dates, { applyFilters: false });
+        if (extra.length > 0) searchedDates.push(`${dates.outboundDate}|${dates.returnDate}`);
+        allOffers.push(...extra);
     }
 
-    try {
-        const nodemailer = require('nodemailer');
-        
-        const transporter = nodemailer.createTransport({
-            service: 'gmail',
-            auth: {
-                user: CONFIG.emailUser,
-                pass: CONFIG.emailPass
-            }
-        });
+    const { statuses, changes } = checkPinnedFlights({ trip, offers: allOffers, searchedDates, tripHistory });
+    for (const { pin, flight } of statuses) {
+        console.log(flight
+            ? `Pinned ${pin.label}: Rs${flight.price}, ${flight.seats === null ? 'unknown' : flight.seats} seat(s)`
+            : `Pinned ${pin.label}: not in results`);
+    }
+    for (const change of changes) {
+        console.log(`Pinned ${change.pin.label}: ${change.details.join('; ')}`);
+        await notifier.send(buildPinnedMessage(trip, change));
+    }
 
-        await transporter.sendMail({
-            from: CONFIG.emailUser,
-            to: CONFIG.recipientEmail,
-            subject: subject,
-            html: htmlContent
-        });
+    return statuses;
+}
 
-        console.log('Email sent successfully');
-    } catch (error) {
-        console.error('Error sending email:', error.message);
+// Build the daily summary message for a trip: flexible-date matrix, best-value list, recommendation and fare details.
+// Times in it are shown in `timezone` (the due schedules', the trip's by default).
+async function buildSummaryMessage(trip, provider, flights, categories, tripHistory, today, pinned = [], timezone = trip.timezone) {
+    let matrix = null;
+    if (trip.outboundFlexDays > 0 || trip.returnFlexDays > 0) {
+        console.log('Searching flexible date matrix...');
+        matrix = await searchDateMatrix(provider, trip);
     }
+
+    const analysis = analyzePriceTrend({ trip, tripHistory, today, currentPrice: categories.cheapest.price });
+    console.log(`Recommendation: ${analysis.label}`);
+
+    const bestValue = rankFlights(flights, trip.scoring);
+
+    await applyFareDetailsToFlights(provider, [categories.fastest, categories.cheapest, categories.bestOneStop]);
+
+    return withEmail({
+        kind: 'summary',
+        subject: `Daily Flight Update - ${trip.name} (${formatTripDate(trip.outboundDate)})`,
+        trip,
+        categories,
+        matrix,
+        analysis,
+        bestValue,
+        pinned
+    }, timezone);
 }
 
-// Generate daily summary email
-function generateDailySummaryEmail(categories, history) {
-    const { fastest, cheapest, bestOneStop } = categories;
-    
-    const today = getTodayString();
-    const todayHistory = history.daily.find(d => d.date === today);
-    const yesterdayHistory = history.daily[history.daily.length - 2];
-
-    let html = `
-<!DOCTYPE html>
-<html>
-<head>
-    <style>
-        body { font-family: 'Segoe UI', Arial, sans-serif; background: #f5f5f5; margin: 0; padding: 20px; }
-        .container { max-width: 700px; margin: 0 auto; background: white; border-radius: 10px; overflow: hidden; box-shadow: 0 2px 10px rgba(0,0,0,0.1); }
-        .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; text-align: center; }
-        .header h1 { margin: 0; font-size: 24px; }
-        .header p { margin: 10px 0 0 0; opacity: 0.9; }
-        .section { padding: 25px; border-bottom: 1px solid #eee; }
-        .section:last-child { border-bottom: none; }
-        .section-title { font-size: 18px; font-weight: bold; margin-bottom: 15px; color: #333; }
-        .flight-card { background: #f9f9f9; border-left: 4px solid #667eea; padding: 15px; margin-bottom: 15px; border-radius: 5px; }
-        .airline { font-size: 16px; font-weight: bold; color: #333; margin-bottom: 8px; }
-        .flight-details { color: #666; font-size: 14px; margin: 5px 0; }
-        .price-box { background: white; padding: 10px; border-radius: 5px; margin-top: 10px; }
-        .price { font-size: 20px; font-weight: bold; color: #667eea; }
-        .price-label { font-size: 12px; color: #888; }
-        .alert-box { background: #fff3cd; border-left: 4px solid #ffc107; padding: 15px; margin: 15px 0; border-radius: 5px; }
-        .stats { display: flex; justify-content: space-around; background: #f0f4ff; padding: 15px; border-radius: 5px; }
-        .stat { text-align: center; }
-        .stat-value { font-size: 20px; font-weight: bold; color: #667eea; }
-        .stat-label { font-size: 12px; color: #666; margin-top: 5px; }
-        .footer { padding: 20px; text-align: center; color: #888; font-size: 12px; background: #f9f9f9; }
-    </style>
-</head>
-<body>
-    <div class="container">
-        <div class="header">
-            <h1>Daily Flight Update</h1>
-            <p>Delhi to Goa | 14 Nov 2025 (6PM onwards)</p>
-            <p>${new Date().toLocaleString('en-IN', { dateStyle: 'full', timeStyle: 'short' })}</p>
-        </div>
-
-        <div class="section">
-            <div class="section-title">Fastest Flight</div>
-            <div class="flight-card">
-                <div class="airline">${fastest.airline} ${fastest.airlineCode}</div>
-                <div class="flight-details">
-                    <strong>Outbound:</strong> ${fastest.outbound.departure} to ${fastest.outbound.arrival} (${fastest.outbound.duration}, ${fastest.outbound.stops === 0 ? 'Non-stop' : `${fastest.outbound.stops} stop`})
-                </div>
-                <div class="flight-details">
-                    <strong>Return:</strong> ${fastest.return.departure} to ${fastest.return.arrival} (${fastest.return.duration}, ${fastest.return.stops === 0 ? 'Non-stop' : `${fastest.return.stops} stop`})
-                </div>
-                <div class="price-box">
-                    <div class="price">Rs ${fastest.price.toLocaleString('en-IN')}</div>
-                    <div class="price-label">Non-Refundable</div>
-                </div>
-                <div class="price-box">
-                    <div class="price">Rs ${fastest.refundablePrice.toLocaleString('en-IN')}</div>
-                    <div class="price-label">Refundable (Est.) - Rs ${(fastest.refundablePrice - fastest.price).toLocaleString('en-IN')} more</div>
-                </div>
-            </div>
-        </div>
-
-        <div class="section">
-            <div class="section-title">Cheapest Flight</div>
-            <div class="flight-card">
-                <div class="airline">${cheapest.airline} ${cheapest.airlineCode}</div>
-                <div class="flight-details">
-                    <strong>Outbound:</strong> ${cheapest.outbound.departure} to ${cheapest.outbound.arrival} (${cheapest.outbound.duration}, ${cheapest.outbound.stops === 0 ? 'Non-stop' : `${cheapest.outbound.stops} stop`})
-                </div>
-                <div class="flight-details">
-                    <strong>Return:</strong> ${cheapest.return.departure} to ${cheapest.return.arrival} (${cheapest.return.duration}, ${cheapest.return.stops === 0 ? 'Non-stop' : `${cheapest.return.stops} stop`})
-                </div>
-                <div class="price-box">
-                    <div class="price">Rs ${cheapest.price.toLocaleString('en-IN')}</div>
-                    <div class="price-label">Non-Refundable</div>
-                </div>
-                <div class="price-box">
-                    <div class="price">Rs ${cheapest.refundablePrice.toLocaleString('en-IN')}</div>
-                    <div class="price-label">Refundable (Est.) - Rs ${(cheapest.refundablePrice - cheapest.price).toLocaleString('en-IN')} more</div>
-                </div>
-            </div>
-        </div>
-
-        ${bestOneStop ? `
-        <div class="section">
-            <div class="section-title">Best 1-Stop Option</div>
-            <div class="flight-card">
-                <div class="airline">${bestOneStop.airline} ${bestOneStop.airlineCode}</div>
-                <div class="flight-details">
-                    <strong>Outbound:</strong> ${bestOneStop.outbound.departure} to ${bestOneStop.outbound.arrival} (${bestOneStop.outbound.duration}, ${bestOneStop.outbound.stops} stop)
-                </div>
-                <div class="flight-details">
-                    <strong>Return:</strong> ${bestOneStop.return.departure} to ${bestOneStop.return.arrival} (${bestOneStop.return.duration}, ${bestOneStop.return.stops === 0 ? 'Non-stop' : `${bestOneStop.return.stops} stop`})
-                </div>
-                <div class="price-box">
-                    <div class="price">Rs ${bestOneStop.price.toLocaleString('en-IN')}</div>
-                    <div class="price-label">Non-Refundable</div>
-                </div>
-                <div class="price-box">
-                    <div class="price">Rs ${bestOneStop.refundablePrice.toLocaleString('en-IN')}</div>
-                    <div class="price-label">Refundable (Est.) - Rs ${(bestOneStop.refundablePrice - bestOneStop.price).toLocaleString('en-IN')} more</div>
-                </div>
-            </div>
-        </div>
-        ` : ''}
-
-        <div class="section">
-            <div class="section-title">Price Tracking</div>
-            <div class="stats">
-                <div class="stat">
-                    <div class="stat-value">Rs ${fastest.price.toLocaleString('en-IN')}</div>
-                    <div class="stat-label">Fastest</div>
-                </div>
-                <div class="stat">
-                    <div class="stat-value">Rs ${cheapest.price.toLocaleString('en-IN')}</div>
-                    <div class="stat-label">Cheapest</div>
-                </div>
-                ${bestOneStop ? `
-                <div class="stat">
-                    <div class="stat-value">Rs ${bestOneStop.price.toLocaleString('en-IN')}</div>
-                    <div class="stat-label">Best 1-Stop</div>
-                </div>
-                ` : ''}
-            </div>
-            
-            <div class="alert-box">
-                <strong>Alert Threshold: Rs ${FLIGHT_CONFIG.priceDropThreshold} drop</strong><br>
-                You will be notified if prices drop below:<br>
-                Fastest: Rs ${(fastest.price - FLIGHT_CONFIG.priceDropThreshold).toLocaleString('en-IN')}<br>
-                Cheapest: Rs ${(cheapest.price - FLIGHT_CONFIG.priceDropThreshold).toLocaleString('en-IN')}
-                ${bestOneStop ? `<br>Best 1-Stop: Rs ${(bestOneStop.price - FLIGHT_CONFIG.priceDropThreshold).toLocaleString('en-IN')}` : ''}
-            </div>
-        </div>
-
-        <div class="footer">
-            Next check: ${new Date(Date.now() + 3600000).toLocaleTimeString('en-IN')}<br>
-            Powered by Amadeus API | GitHub Actions
-        </div>
-    </div>
-</body>
-</html>`;
-
-    return html;
-}
-
-// Generate price drop alert email
-function generatePriceDropEmail(category, flight, oldPrice, newPrice) {
-    const drop = oldPrice - newPrice;
-    
-    let html = `
-<!DOCTYPE html>
-<html>
-<head>
-    <style>
-        body { font-family: 'Segoe UI', Arial, sans-serif; background: #f5f5f5; margin: 0; padding: 20px; }
-        .container { max-width: 600px; margin: 0 auto; background: white; border-radius: 10px; overflow: hidden; box-shadow: 0 2px 10px rgba(0,0,0,0.1); }
-        .header { background: linear-gradient(135deg, #f093fb 0%, #f5576c 100%); color: white; padding: 30px; text-align: center; }
-        .header h1 { margin: 0; font-size: 28px; }
-        .drop-amount { font-size: 36px; font-weight: bold; margin: 15px 0; }
-        .section { padding: 25px; }
-        .flight-card { background: #f9f9f9; border-left: 4px solid #f5576c; padding: 15px; margin: 15px 0; border-radius: 5px; }
-        .airline { font-size: 18px; font-weight: bold; color: #333; margin-bottom: 10px; }
-        .flight-details { color: #666; font-size: 14px; margin: 5px 0; }
-        .price-comparison { display: flex; justify-content: space-around; margin: 20px 0; }
-        .price-item { text-align: center; }
-        .old-price { text-decoration: line-through; color: #999; font-size: 16px; }
-        .new-price { font-size: 24px; font-weight: bold; color: #f5576c; }
-        .footer { padding: 20px; text-align: center; color: #888; font-size: 12px; background: #f9f9f9; }
-    </style>
-</head>
-<body>
-    <div class="container">
-        <div class="header">
-            <h1>PRICE DROP ALERT</h1>
-            <div class="drop-amount">Down Rs ${drop.toLocaleString('en-IN')}</div>
-            <p>${category.toUpperCase()} - ${new Date().toLocaleTimeString('en-IN')}</p>
-        </div>
-
-        <div class="section">
-            <div class="flight-card">
-                <div class="airline">${flight.airline} ${flight.airlineCode}</div>
-                <div class="flight-details">
-                    <strong>Outbound:</strong> ${flight.outbound.departure} to ${flight.outbound.arrival}<br>
-                    ${flight.outbound.duration} - ${flight.outbound.stops === 0 ? 'Non-stop' : `${flight.outbound.stops} stop`}
-                </div>
-                <div class="flight-details">
-                    <strong>Return:</strong> ${flight.return.departure} to ${flight.return.arrival}<br>
-                    ${flight.return.duration} - ${flight.return.stops === 0 ? 'Non-stop' : `${flight.return.stops} stop`}
-                </div>
-            </div>
-
-            <div class="price-comparison">
-                <div class="price-item">
-                    <div class="old-price">Rs ${oldPrice.toLocaleString('en-IN')}</div>
-                    <div style="font-size: 12px; color: #888;">Previous Low</div>
-                </div>
-                <div class="price-item">
-                    <div class="new-price">Rs ${newPrice.toLocaleString('en-IN')}</div>
-                    <div style="font-size: 12px; color: #888;">Current Price</div>
-                </div>
-            </div>
-
-            <div style="background: #fff3cd; padding: 15px; border-radius: 5px; margin-top: 20px;">
-                <strong>Pricing Options</strong><br>
-                Non-Refundable: Rs ${flight.price.toLocaleString('en-IN')}<br>
-                Refundable (Est.): Rs ${flight.refundablePrice.toLocaleString('en-IN')}
-            </div>
-        </div>
-
-        <div class="footer">
-            Automated by Flight Tracker | GitHub Actions
-        </div>
-    </div>
-</body>
-</html>`;
-
-    return html;
+function buildAlertMessage(trip, alert) {
+    return withEmail({
+        kind: 'alert',
+        subject: `${ALERT_TITLES[alert.type]}: ${trip.name} ${alert.category} ${describePriceChange(alert)}`,
+        trip,
+        alert
+    });
 }
 
-// Main function
-async function main() {
-    console.log('Flight Tracker Started');
-    console.log('Time:', new Date().toLocaleString('en-IN'));
+// One message for several alert messages that go to the same channels
+function buildDigestMessage(alertMessages, channels) {
+    const alerts = alertMessages.map(({ trip, alert }) => ({ trip, alert }));
+    const tripNames = [...new Set(alerts.map(({ trip }) => trip.name))];
+    return withEmail({
+        kind: 'digest',
+        subject: `${alerts.length} price alerts: ${tripNames.join(', ')}`,
+        alerts,
+        channels
+    });
+}
+
+// Send a run's alert messages, grouped by the channels they route to:
+// a group of one goes out as is, larger groups as a single digest
+async function sendAlerts(notifier, alertMessages) {
+    const groups = new Map();
+    for (const message of alertMessages) {
+        const channels = notifier.channelsFor(message);
+        const key = channels.join(',');
+        if (!groups.has(key)) groups.set(key, { channels, messages: [] });
+        groups.get(key).messages.push(message);
+    }
 
-    // Get Amadeus token
-    console.log('Getting Amadeus access token...');
-    const token = await getAmadeusToken();
-    console.log('Token received');
+    for (const { channels, messages } of groups.values()) {
+        await notifier.send(messages.length === 1 ? messages[0] : buildDigestMessage(messages, channels));
+    }
+}
 
+// Check a single trip: search, categorize, update its history, send the summary and pinned-flight changes
+// and check its alert rules. The summary goes out when one of the summary schedules (lib/schedules.js)
+// has a slot due; options.summary forces (or suppresses) it instead.
+// Returns { status, flights, errors, summarySent, alerts, categories, offers } for the run log (see lib/health.js);
+// `alerts` are the alert messages raised, left to the caller so a run's alerts can go out as one digest,
+// and `offers` the flights that passed the trip's filters.
+async function checkTrip(trip, { provider, notifier, schedules = [] }, history, { summary } = {}) {
     // Search flights
+    console.log(`\n[${trip.id}] ${trip.name}: ${trip.origin} -> ${trip.destination}, ${trip.outboundDate} / ${trip.returnDate}`);
     console.log('Searching flights...');
-    const flights = await searchFlights(token);
+    const search = await searchTrip(provider, trip, undefined, { applyFilters: false });
+    const offers = search.flights;
+    const flights = offers.filter(flight => matchesTripFilters(flight, trip));
+    const result = {
+        status: tripStatus({ searches: search.searches, failures: search.errors.length, flights: flights.length }),
+        flights: flights.length,
+        errors: search.errors,
+        summarySent: false,
+        alerts: [],
+        categories: null,
+        offers: flights
+    };
+
+    if (result.status === 'failed') {
+        console.error('Every search failed; not treating this as an empty result');
+        return result;
+    }
     console.log(`Found ${flights.length} flights matching criteria`);
 
+    // Pinned flights are checked against every offer, not just the ones passing the filters
+    const tripHistory = getTripHistory(history, trip);
+    const pinned = await trackPinnedFlights(trip, { provider, notifier }, offers, tripHistory);
+
     if (flights.length === 0) {
         console.log('No flights found');
-        return;
+        return result;
     }
 
+    // Record every matching offer in the trip's per-itinerary price series
+    recordOfferSnapshots(tripHistory, flights);
+
     // Categorize flights
     const categories = categorizeFlights(flights);
     
     if (!categories) {
         console.log('Could not categorize flights');
-        return;
+        return result;
     }
+    result.categories = categories;
 
     console.log('Fastest:', categories.fastest.airline, 'Rs' + categories.fastest.price);
     console.log('Cheapest:', categories.cheapest.airline, 'Rs' + categories.cheapest.price);
@@ -525,10 +686,9 @@ async function main() {
         console.log('Best 1-Stop:', categories.bestOneStop.airline, 'Rs' + categories.bestOneStop.price);
     }
 
-    // Load price history
-    const history = loadPriceHistory();
-    const today = getTodayString();
-    let todayHistory = history.daily.find(d => d.date === today);
+    // Today's baselines in this trip's price history
+    const today = getTodayString(trip.timezone);
+    let todayHistory = tripHistory.daily.find(d => d.date === today);
 
     if (!todayHistory) {
         todayHistory = {
@@ -537,83 +697,414 @@ async function main() {
             cheapest: categories.cheapest.price,
             bestOneStop: categories.bestOneStop ? categories.bestOneStop.price : null
         };
-        history.daily.push(todayHistory);
-    }
-
-    // Check if 10 AM - send daily summary
-    if (is10AM()) {
-        console.log('Sending 10 AM daily summary...');
-        const emailHtml = generateDailySummaryEmail(categories, history);
-        await sendEmail('Daily Flight Update - Delhi to Goa (14 Nov)', emailHtml);
-        
-        // Update today's baseline
-        todayHistory.fastest = categories.fastest.price;
-        todayHistory.cheapest = categories.cheapest.price;
-        todayHistory.bestOneStop = categories.bestOneStop ? categories.bestOneStop.price : null;
-    } else {
-        // Check for price drops
-        console.log('Checking for price drops...');
-        
-        const alerts = [];
-        
-        if (categories.fastest.price <= todayHistory.fastest - FLIGHT_CONFIG.priceDropThreshold) {
-            alerts.push({
-                category: 'Fastest Flight',
-                flight: categories.fastest,
-                oldPrice: todayHistory.fastest,
-                newPrice: categories.fastest.price
-            });
-            todayHistory.fastest = categories.fastest.price;
+        tripHistory.daily.push(todayHistory);
+    }
+
+    const due = summary === undefined ? dueSchedules(schedules, tripHistory.summaries) : [];
+    if (summary || due.length > 0) {
+        const zones = [...new Set(due.map(({ schedule }) => schedule.timezone))];
+        const message = await buildSummaryMessage(trip, provider, flights, categories, tripHistory, today, pinned, zones.length === 1 ? zones[0] : trip.timezone);
+        if (due.length > 0) {
+            console.log(`Sending daily summary for ${due.map(({ schedule, slot }) => `${schedule.name} (${slot.key.replace('T', ' ')})`).join(', ')}...`);
+            message.channels = summaryChannels(notifier, message, due);
+        } else {
+            console.log('Sending daily summary...');
         }
-        
-        if (categories.cheapest.price <= todayHistory.cheapest - FLIGHT_CONFIG.priceDropThreshold) {
-            alerts.push({
-                category: 'Cheapest Flight',
-                flight: categories.cheapest,
-                oldPrice: todayHistory.cheapest,
-                newPrice: categories.cheapest.price
-            });
+        const { delivered, results, silent } = await notifier.send(message);
+        const failed = results.some(sent => sent.error);
+
+        if (delivered > 0) {
+            result.summarySent = true;
+            recordSummarySlots(tripHistory, due);
+
+            // Update today's baseline
+            todayHistory.fastest = categories.fastest.price;
             todayHistory.cheapest = categories.cheapest.price;
+            todayHistory.bestOneStop = categories.bestOneStop ? categories.bestOneStop.price : null;
+        } else if (silent || failed) {
+            // Notifications are off (--dry-run / --no-notify) or every channel failed:
+            // the slot stays due for a later run and the health check can miss it
+            console.log('Summary not delivered to any channel; it is still due');
+        } else {
+            // No channel takes summaries (none routed, or email without credentials):
+            // retrying can't help, so the slot is done without counting as sent
+            console.log('No channel is set up to send summaries; skipping this one');
+            recordSummarySlots(tripHistory, due);
         }
-        
-        if (categories.bestOneStop && todayHistory.bestOneStop &&
-            categories.bestOneStop.price <= todayHistory.bestOneStop - FLIGHT_CONFIG.priceDropThreshold) {
-            alerts.push({
-                category: 'Best 1-Stop',
-                flight: categories.bestOneStop,
-                oldPrice: todayHistory.bestOneStop,
-                newPrice: categories.bestOneStop.price
-            });
-            todayHistory.bestOneStop = categories.bestOneStop.price;
+    }
+
+    // Alert rules are checked on every run, whether or not a summary went out
+    console.log('Checking alert rules...');
+
+    const alerts = evaluateAlertRules({ trip, categories, flights, tripHistory, todayHistory, today });
+
+    if (alerts.length > 0) {
+        console.log(`${alerts.length} alert(s) triggered`);
+        await applyFareDetailsToFlights(provider, alerts.map(a => a.flight));
+        result.alerts = alerts.map(alert => buildAlertMessage(trip, alert));
+    } else {
+        console.log('No alerts triggered');
+    }
+
+    recordDailyLows(todayHistory, categories, flights);
+    tripHistory.lastCheck = new Date().toISOString();
+    return result;
+}
+
+// Only the trips named with --trip (all trips when none are given)
+function selectTrips(trips, ids) {
+    if (ids.length === 0) return trips;
+    const unknown = ids.filter(id => !trips.some(trip => trip.id === id));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown trip(s): ${unknown.join(', ')} (known: ${trips.map(t => t.id).join(', ')})`);
+    }
+    return trips.filter(trip => ids.includes(trip.id));
+}
+
+// check / summary: search every trip, update history and notify.
+// Resolves to { run, results: [{ trip, result }] }; serve passes in its long-lived provider.
+// The history stays locked for the whole run so overlapping runs take turns.
+async function runCheck(watchlist, trips, options, {
+    summary,
+    provider = createFlightProvider(),
+    notifier = options.notify ? createNotifier(watchlist.notifications) : createSilentNotifier()
+} = {}) {
+    const startedAt = new Date().toISOString();
+    const storage = createHistoryStorage(watchlist);
+    try {
+        return await storage.withLock(() => checkTrips(watchlist, trips, options, { summary, provider, storage, notifier }));
+    } catch (error) {
+        // The history couldn't be locked, read or saved, so the run can't be recorded there: report it now
+        console.error('Error running the check:', error.message);
+        const run = { startedAt, finishedAt: new Date().toISOString(), status: 'failed', trips: [], summarySent: false, error: error.message };
+        const problem = unrecordedRunProblem(run);
+        console.log(`Health: ${problem.subject}`);
+        await notifier.send(withEmail({ kind: 'health', subject: problem.subject, problem }, watchlist.healthSettings.timezone));
+        return { run, results: [] };
+    } finally {
+        storage.close();
+    }
+}
+
+async function checkTrips(watchlist, trips, options, { summary, provider, storage, notifier }) {
+    console.log(`Using ${provider.name} flight provider`);
+
+    const history = storage.load();
+    const run = { startedAt: new Date().toISOString(), trips: [], summarySent: false };
+    const alertMessages = [];
+    const results = [];
+
+    // A failure outside the trips' own checks (e.g. sending the alerts) fails the run but is still recorded
+    try {
+        for (const trip of trips) {
+            let result;
+            try {
+                result = await checkTrip(trip, { provider, notifier, schedules: watchlist.summarySchedules }, history, { summary });
+            } catch (error) {
+                console.error(`Error checking ${trip.id}:`, error.message);
+                result = { status: 'failed', flights: 0, errors: [error.message], summarySent: false, alerts: [], categories: null, offers: [] };
+            }
+            results.push({ trip, result });
+            run.trips.push({ id: trip.id, status: result.status, flights: result.flights, errors: result.errors });
+            run.summarySent = run.summarySent || result.summarySent;
+            alertMessages.push(...result.alerts);
         }
-        
-        if (alerts.length > 0) {
-            console.log(`${alerts.length} price drop(s) detected`);
-            for (const alert of alerts) {
-                const emailHtml = generatePriceDropEmail(
-                    alert.category,
-                    alert.flight,
-                    alert.oldPrice,
-                    alert.newPrice
-                );
-                await sendEmail(
-                    `PRICE DROP: ${alert.category} Down Rs ${alert.oldPrice - alert.newPrice}`,
-                    emailHtml
-                );
+
+        await sendAlerts(notifier, alertMessages);
+    } catch (error) {
+        console.error('Error during the run:', error.message);
+        run.error = error.message;
+    }
+
+    // Record the run and report if the tracker itself looks broken
+    run.finishedAt = new Date().toISOString();
+    const overdue = overdueSchedules(
+        watchlist.summarySchedules,
+        trips.map(trip => (history.trips[trip.id] || {}).summaries),
+        watchlist.healthSettings.summaryGraceHours
+    );
+    const problems = recordRun(history, run, watchlist.healthSettings, { overdue });
+    console.log(`\nRun status: ${run.status}`);
+    for (const problem of problems) {
+        console.log(`Health: ${problem.subject}`);
+        await notifier.send(withEmail({ kind: 'health', subject: problem.subject, problem }, watchlist.healthSettings.timezone));
+    }
+
+    // Compact per-offer price series so the committed history stays small
+    for (const trip of trips) {
+        if (history.trips[trip.id]) compactOfferHistory(history.trips[trip.id], watchlist.historySettings);
+    }
+
+    if (options.dryRun) {
+        console.log('\nDry run: price history not saved');
+    } else {
+        // Save updated history
+        history.lastCheck = new Date().toISOString();
+        storage.save(history);
+    }
+
+    return { run, results };
+}
+
+// serve: run checks on a schedule and answer HTTP requests (lib/server.js) until stopped
+async function runServe(watchlist, trips, options) {
+    const provider = createFlightProvider();
+    const server = createApiServer({
+        trips,
+        intervalMinutes: CONFIG.checkIntervalMinutes,
+        token: CONFIG.serverToken,
+        loadHistory: () => loadPriceHistory(watchlist),
+        runCheck: (selected, { summary, notify }) => runCheck(watchlist, selected, { ...options, notify: options.notify && notify }, { summary, provider })
+    });
+
+    const { address, port } = await server.listen(options.port, CONFIG.serverHost);
+    console.log(`Serving on http://${address}:${port}${CONFIG.serverToken ? ' (bearer token required)' : ''}`);
+    console.log(`Checks every ${CONFIG.checkIntervalMinutes} min; next at ${server.state.nextCheck.toISOString()}`);
+
+    await new Promise(resolve => {
+        process.once('SIGINT', resolve);
+        process.once('SIGTERM', resolve);
+    });
+    console.log('\nStopping server...');
+    await server.close();
+}
+
+// search: print matching flights for each trip, best value first, without touching history
+async function runSearch(watchlist, trips) {
+    const provider = createFlightProvider();
+
+    for (const trip of trips) {
+        const flights = await searchFlights(provider, trip);
+        console.log(`\n${trip.name} (${trip.id}): ${trip.origin} -> ${trip.destination}, ${trip.outboundDate} / ${trip.returnDate}`);
+        if (describeTripSearch(trip)) console.log(describeTripSearch(trip));
+
+        if (flights.length === 0) {
+            console.log('No flights found');
+            continue;
+        }
+
+        const ranked = rankFlights(flights, trip.scoring, flights.length);
+        console.log(formatTable(
+            ['#', 'Score', 'Airline', 'Route', 'Flights', 'Outbound', 'Return', 'Stops', 'Duration', 'Price'],
+            ranked.map(({ rank, score, flight: f }) => [
+                rank,
+                score,
+                `${f.airline} (${f.airlineCode})${f.separateTickets ? ', 2 tickets' : ''}`,
+                `${f.outbound.from}-${f.outbound.to} / ${f.return.from}-${f.return.to}`,
+                `${f.outbound.flightNumbers.join('+')} / ${f.return.flightNumbers.join('+')}`,
+                `${f.outbound.departure} - ${f.outbound.arrival}`,
+                `${f.return.departure} - ${f.return.arrival}`,
+                `${f.outbound.stops}/${f.return.stops}`,
+                `${Math.floor(f.totalDuration / 60)}h ${f.totalDuration % 60}m`,
+                f.price.toLocaleString('en-IN')
+            ])
+        ));
+
+        console.log('\nBest value:');
+        for (const { rank, flight, reasons } of ranked.slice(0, trip.scoring.topN)) {
+            console.log(`${rank}. ${flight.airline} ${flight.outbound.flightNumbers.join('+')} / ${flight.return.flightNumbers.join('+')}${flight.separateTickets ? ' (separate tickets)' : ''}`);
+            reasons.forEach(reason => console.log(`   - ${reason}`));
+        }
+    }
+}
+
+// history: daily prices, or one flight's price series with --flight
+function runHistory(watchlist, trips, options) {
+    const history = loadPriceHistory(watchlist);
+
+    for (const trip of trips) {
+        const tripHistory = history.trips[trip.id];
+        console.log(`\n${trip.name} (${trip.id})`);
+
+        if (!tripHistory) {
+            console.log('No history yet');
+            continue;
+        }
+
+        if (options.flight) {
+            const matches = findOfferSeries(tripHistory, { flightNumber: options.flight, days: options.days });
+            if (matches.length === 0) {
+                console.log(`No recorded offers with flight ${options.flight}`);
+            }
+            for (const series of matches) {
+                console.log(`\n${series.airline}: ${series.outbound.join('+')} / ${series.return.join('+')} (${series.key})`);
+                console.log(formatTable(
+                    ['Time (UTC)', 'Price'],
+                    series.points.map(([at, price]) => [at.replace('T', ' '), price === null ? 'not offered' : price.toLocaleString('en-IN')])
+                ));
             }
+            continue;
+        }
+
+        const since = options.days ? addDays(getTodayString(trip.timezone), -options.days) : '';
+        const price = value => typeof value === 'number' ? value.toLocaleString('en-IN') : null;
+
+        console.log(formatTable(
+            ['Date', 'Fastest', 'Cheapest', 'Best 1-Stop', 'Lowest Seen'],
+            tripHistory.daily
+                .filter(entry => entry.date >= since)
+                .map(entry => [
+                    entry.date,
+                    price(entry.fastest),
+                    price(entry.cheapest),
+                    price(entry.bestOneStop),
+                    price(entry.lows && entry.lows.cheapest)
+                ])
+        ));
+    }
+}
+
+// render: write the summary (or a sample alert) email for each trip to a file, with its plain-text part alongside
+async function runRender(watchlist, trips, options) {
+    const provider = createFlightProvider();
+    const history = loadPriceHistory(watchlist);
+    for (const trip of trips) {
+        const today = getTodayString(trip.timezone);
+        const flights = await searchFlights(provider, trip);
+        const categories = categorizeFlights(flights);
+        if (!categories) {
+            console.log(`${trip.id}: no flights found, nothing to render`);
+            continue;
+        }
+
+        const tripHistory = getTripHistory(history, trip);
+        let message;
+        if (options.type === 'alert') {
+            const todayHistory = tripHistory.daily.find(d => d.date === today);
+            const baseline = todayHistory && todayHistory.cheapest > categories.cheapest.price
+                ? todayHistory.cheapest
+                : categories.cheapest.price + trip.priceDropThreshold;
+            const alert = {
+                type: 'drop',
+                category: 'Cheapest Flight',
+                flight: categories.cheapest,
+                oldPrice: baseline,
+                newPrice: categories.cheapest.price,
+                referenceLabel: 'Previous Low'
+            };
+            await applyFareDetailsToFlights(provider, [alert.flight]);
+            message = buildAlertMessage(trip, alert);
         } else {
-            console.log('No significant price drops');
+            message = await buildSummaryMessage(trip, provider, flights, categories, tripHistory, today);
         }
+
+        const file = trips.length > 1
+            ? options.out.replace(/(\.html?)?$/, ext => `-${trip.id}${ext || '.html'}`)
+            : options.out;
+        fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+        const textFile = file.replace(/(\.html?)?$/, '.txt');
+        fs.writeFileSync(file, message.html);
+        fs.writeFileSync(textFile, message.text);
+        console.log(`${message.subject}\nWritten to ${file} and ${textFile}`);
+    }
+}
+
+// status: recent runs, failures in a row and the last summary
+function runStatusReport(watchlist, trips, options) {
+    const history = loadPriceHistory(watchlist);
+    const { health } = history;
+    if (!health || health.runs.length === 0) {
+        console.log('\nNo runs recorded yet');
+        return;
     }
 
-    // Save updated history
-    history.lastCheck = new Date().toISOString();
-    savePriceHistory(history);
+    const since = options.days ? new Date(Date.now() - options.days * 86400000).toISOString() : '';
+    console.log('');
+    console.log(formatTable(
+        ['Started (UTC)', 'Status', 'Trips', 'Flights', 'Summary', 'Errors'],
+        health.runs
+            .filter(run => run.startedAt >= since)
+            .map(run => [
+                run.startedAt.slice(0, 16).replace('T', ' '),
+                run.status,
+                run.trips.map(trip => `${trip.id}:${trip.status}`).join(' '),
+                run.trips.reduce((sum, trip) => sum + trip.flights, 0),
+                run.summarySent ? 'sent' : null,
+                run.trips.reduce((sum, trip) => sum + trip.errors.length, run.error ? 1 : 0)
+            ])
+    ));
+    console.log(`\nFailed runs in a row: ${health.consecutiveFailures}`);
+    console.log(`Last successful run: ${health.lastSuccess || 'never'}`);
+    console.log(`Last daily summary: ${health.lastSummaryDate || 'never'}`);
+
+    console.log('');
+    console.log(formatTable(
+        ['Schedule', 'When', 'Latest slot', ...trips.map(trip => `Sent for ${trip.id}`)],
+        watchlist.summarySchedules.map(schedule => {
+            const slot = latestSlot(schedule);
+            const sent = trip => ((history.trips[trip.id] || {}).summaries || {})[schedule.name];
+            return [
+                schedule.name,
+                describeSchedule(schedule),
+                slot ? slot.key.replace('T', ' ') : null,
+                ...trips.map(trip => sent(trip) ? sent(trip).replace('T', ' ') : 'never')
+            ];
+        })
+    ));
+}
 
-    console.log('Flight Check Complete');
+// A failed run exits non-zero so the scheduler shows it
+function exitOnFailure({ run }) {
+    if (run.status === 'failed') process.exitCode = 1;
 }
 
-main().catch(error => {
-    console.error('Fatal Error:', error);
-    process.exit(1);
-});
\ No newline at end of file
+const COMMAND_HANDLERS = {
+    check: (watchlist, trips, options) => runCheck(watchlist, trips, options).then(exitOnFailure),
+    summary: (watchlist, trips, options) => runCheck(watchlist, trips, options, { summary: true }).then(exitOnFailure),
+    search: runSearch,
+    history: runHistory,
+    render: runRender,
+    status: runStatusReport,
+    serve: runServe
+};
+
+// Main function
+async function main(argv = process.argv.slice(2)) {
+    let parsed;
+    try {
+        parsed = parseCommandLine(argv);
+    } catch (error) {
+        console.error(`${error.message}\n\n${USAGE}`);
+        process.exitCode = 2;
+        return;
+    }
+
+    const { command, options } = parsed;
+    if (options.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    console.log('Flight Tracker Started');
+    console.log('Time:', new Date().toLocaleString('en-IN'));
+
+    const watchlist = loadWatchlist();
+    const trips = selectTrips(watchlist.trips, options.trips);
+    console.log(`Loaded ${trips.length} trip(s) from ${WATCHLIST_FILE}`);
+    configureReferenceData({ cacheFile: CONFIG.referenceCacheFile, maxAgeDays: CONFIG.referenceMaxAgeDays });
+
+    await COMMAND_HANDLERS[command](watchlist, trips, options);
+
+    console.log('\nFlight Check Complete');
+}
+
+module.exports = {
+    loadWatchlist,
+    loadPriceHistory,
+    searchFlights,
+    searchDateMatrix,
+    parseAmadeusFlights,
+    categorizeFlights,
+    generateDailySummaryEmail,
+    generateAlertEmail,
+    checkTrip,
+    runCheck,
+    main
+};
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error('Fatal Error:', error);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,53 @@
+// Airport groups for a trip's origin and destination.
+//
+// `origin` and `destination` take a single IATA code or a list of codes that
+// are searched together, e.g. Goa's two airports:
+//   { "origin": "DEL", "destination": ["GOI", "GOX"] }
+// Every combination is searched, including open-jaw pairs that fly into one
+// destination airport and home from another (DEL-GOX out, GOI-DEL back).
+// Set `openJaw: false` to only search round trips through the same airports.
+
+const IATA_CODE = /^[A-Z]{3}$/;
+
+function toCodeList(value, field, trip) {
+    const codes = (Array.isArray(value) ? value : [value]).map(code => String(code).trim().toUpperCase());
+    const invalid = codes.filter(code => !IATA_CODE.test(code));
+    if (codes.length === 0 || invalid.length > 0) {
+        throw new Error(`Trip "${trip.id || trip.name}" has an invalid ${field}: ${invalid.join(', ') || 'empty list'} (expected IATA airport codes)`);
+    }
+    return [...new Set(codes)];
+}
+
+// { origins, destinations } as arrays of airport codes
+function normalizeAirports(trip) {
+    return {
+        origins: toCodeList(trip.origin, 'origin', trip),
+        destinations: toCodeList(trip.destination, 'destination', trip)
+    };
+}
+
+// Every airport combination to search:
+// [{ origin, destination, returnOrigin, returnDestination, openJaw }]
+function buildRoutes(trip) {
+    const routes = [];
+    for (const origin of trip.origins) {
+        for (const destination of trip.destinations) {
+            for (const returnOrigin of trip.destinations) {
+                for (const returnDestination of trip.origins) {
+                    const openJaw = returnOrigin !== destination || returnDestination !== origin;
+                    if (openJaw && trip.openJaw === false) continue;
+                    routes.push({ origin, destination, returnOrigin, returnDestination, openJaw });
+                }
+            }
+        }
+    }
+    return routes;
+}
+
+// "DEL-GOI" or, for an open jaw, "DEL-GOX / GOI-DEL"
+function describeRoute(route) {
+    const outbound = `${route.origin}-${route.destination}`;
+    return route.openJaw ? `${outbound} / ${route.returnOrigin}-${route.returnDestination}` : outbound;
+}
+
+module.exports = { normalizeAirports, buildRoutes, describeRoute };
@@ -0,0 +1,353 @@
+const { inWindow } = require('./time-windows');
+const { normalizePriceBasis, toBookingPrice } = require('./travelers');
+const { flightAirlineCodes } = require('./separate-tickets');
+
+// Configurable alert rules.
+//
+// A trip lists its rules under `alertRules`; without any, a single `drop` rule
+// using the trip's priceDropThreshold reproduces the original behaviour.
+//
+//   { type: 'targetPrice', price: 8000 }                 price at or below a target
+//   { type: 'drop', amount: 300 }                        Rs drop from today's baseline
+//   { type: 'percentDrop', percent: 5 }                  % drop from today's baseline
+//   { type: 'allTimeLow' }                               lowest price ever seen for the trip
+//   { type: 'airlineDrop', airline: '6E', amount: 500 }  drop on one airline's cheapest fare
+//   { type: 'priceRise', percent: 10, days: 7 }          rise above the lowest price of the last N days
+//
+// Every rule also accepts:
+//   id              stable name used for dedup (defaults to type + position)
+//   categories      which picks to watch: fastest, cheapest, bestOneStop
+//   cooldownHours   don't repeat the same rule for the same pick within this window
+//   quietHours      { start: '23:00', end: '07:00' } in the trip's timezone; alerts
+//                   raised during quiet hours are held and sent on the next run after
+//   per             'booking' or 'person': what `price` and `amount` refer to (defaults
+//                   to the trip's pricesPer, see lib/travelers.js); per-person amounts
+//                   are multiplied up to the booking total the rules compare against
+//
+// Daily history entries keep the legacy per-category baselines (fastest, cheapest,
+// bestOneStop) plus `airlines` baselines and `lows`, the lowest price seen that day
+// for each subject.
+
+const CATEGORY_LABELS = {
+    fastest: 'Fastest Flight',
+    cheapest: 'Cheapest Flight',
+    bestOneStop: 'Best 1-Stop'
+};
+
+const RULE_DEFAULTS = {
+    targetPrice: { categories: ['cheapest'], cooldownHours: 12 },
+    drop: { categories: ['fastest', 'cheapest', 'bestOneStop'], cooldownHours: 0 },
+    percentDrop: { categories: ['cheapest'], cooldownHours: 0 },
+    allTimeLow: { categories: ['cheapest'], cooldownHours: 0 },
+    airlineDrop: { cooldownHours: 0 },
+    priceRise: { categories: ['cheapest'], cooldownHours: 24, days: 7 }
+};
+
+const ALERT_TITLES = {
+    targetPrice: 'TARGET PRICE REACHED',
+    drop: 'PRICE DROP ALERT',
+    percentDrop: 'PRICE DROP ALERT',
+    allTimeLow: 'NEW ALL-TIME LOW',
+    airlineDrop: 'PRICE DROP ALERT',
+    priceRise: 'PRICE RISING'
+};
+
+const MAX_ALERT_LOG = 200;
+
+// Fill in defaults and validate the trip's alert rules
+function normalizeAlertRules(trip) {
+    const rules = trip.alertRules && trip.alertRules.length > 0
+        ? trip.alertRules
+        : [{ type: 'drop', amount: trip.priceDropThreshold }];
+
+    return rules.map((rule, index) => {
+        const defaults = RULE_DEFAULTS[rule.type];
+        if (!defaults) {
+            throw new Error(`Trip "${trip.id}" has an unknown alert rule type "${rule.type}"`);
+        }
+        if (rule.type === 'targetPrice' && !(rule.price > 0)) {
+            throw new Error(`targetPrice rule on trip "${trip.id}" needs a price`);
+        }
+        if (rule.type === 'airlineDrop' && !rule.airline) {
+            throw new Error(`airlineDrop rule on trip "${trip.id}" needs an airline code`);
+        }
+        if (['percentDrop', 'priceRise', 'airlineDrop'].includes(rule.type) && !rule.amount && !rule.percent) {
+            throw new Error(`${rule.type} rule on trip "${trip.id}" needs an amount or percent`);
+        }
+
+        const per = normalizePriceBasis(rule.per || trip.pricesPer, `Alert rule "${rule.id || rule.type}" on trip "${trip.id}"`);
+        const amount = rule.type === 'drop' && !rule.percent ? (rule.amount || trip.priceDropThreshold) : rule.amount;
+        return {
+            id: `${rule.type}-${index + 1}`,
+            quietHours: trip.quietHours || null,
+            ...defaults,
+            ...rule,
+            per,
+            seats: trip.travelers.seats,
+            price: toBookingPrice(rule.price, per, trip.travelers),
+            amount: toBookingPrice(amount, per, trip.travelers)
+        };
+    });
+}
+
+// Minutes since midnight in a timezone, e.g. for quiet hours
+function timeOfDayIn(timezone, now) {
+    const parts = new Intl.DateTimeFormat('en-GB', {
+        timeZone: timezone,
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+    }).formatToParts(now);
+    const get = type => parseInt(parts.find(p => p.type === type).value, 10);
+    return get('hour') * 60 + get('minute');
+}
+
+function isQuietTime(rule, timezone, now) {
+    return Boolean(rule.quietHours) && inWindow(timeOfDayIn(timezone, now), rule.quietHours);
+}
+
+// The flight (and label) a rule is watching
+function getSubjects(rule, categories, flights) {
+    if (rule.type === 'airlineDrop') {
+        const airlineFlights = flights.filter(f => flightAirlineCodes(f).includes(rule.airline));
+        if (airlineFlights.length === 0) return [];
+        const flight = airlineFlights.reduce((min, f) => f.price < min.price ? f : min);
+        return [{ key: `airline:${rule.airline}`, label: `${flight.airline} (${rule.airline})`, flight }];
+    }
+
+    return rule.categories
+        .filter(category => categories[category])
+        .map(category => ({ key: category, label: CATEGORY_LABELS[category], flight: categories[category] }));
+}
+
+function getBaseline(todayHistory, key) {
+    if (key.startsWith('airline:')) {
+        return todayHistory.airlines ? todayHistory.airlines[key.slice(8)] : undefined;
+    }
+    return todayHistory[key];
+}
+
+function setBaseline(todayHistory, key, price) {
+    if (key.startsWith('airline:')) {
+        todayHistory.airlines = todayHistory.airlines || {};
+        todayHistory.airlines[key.slice(8)] = price;
+    } else {
+        todayHistory[key] = price;
+    }
+}
+
+// Lowest price recorded by earlier runs for a subject, optionally only on or after
+// `sinceDate`. Entries from before lows were tracked fall back to their category
+// baseline, except `today`'s: its baselines are seeded from the current run.
+function getLowestRecorded(tripHistory, key, today, sinceDate = null) {
+    const prices = tripHistory.daily
+        .filter(entry => !sinceDate || entry.date >= sinceDate)
+        .map(entry => {
+            if (entry.lows && entry.lows[key] !== undefined) return entry.lows[key];
+            return key in CATEGORY_LABELS && entry.date !== today ? entry[key] : null;
+        })
+        .filter(price => typeof price === 'number');
+    return prices.length > 0 ? Math.min(...prices) : null;
+}
+
+function meetsThreshold(difference, reference, rule) {
+    if (difference <= 0) return false;
+    if (rule.percent) return (difference / reference) * 100 >= rule.percent;
+    return difference >= (rule.amount || 0);
+}
+
+// Check one rule against one subject. Returns { referencePrice, referenceLabel } or null.
+function checkRule(rule, subject, context) {
+    const price = subject.flight.price;
+    const { tripHistory, todayHistory, today } = context;
+
+    switch (rule.type) {
+        case 'targetPrice':
+            return price <= rule.price ? { referencePrice: rule.price, referenceLabel: 'Target Price' } : null;
+
+        case 'drop':
+        case 'percentDrop':
+        case 'airlineDrop': {
+            const baseline = getBaseline(todayHistory, subject.key);
+            if (typeof baseline !== 'number') return null;
+            return meetsThreshold(baseline - price, baseline, rule)
+                ? { referencePrice: baseline, referenceLabel: 'Previous Low' }
+                : null;
+        }
+
+        case 'allTimeLow': {
+            const low = getLowestRecorded(tripHistory, subject.key, today);
+            return low !== null && price < low && meetsThreshold(low - price, low, rule)
+                ? { referencePrice: low, referenceLabel: 'Previous All-Time Low' }
+                : null;
+        }
+
+        case 'priceRise': {
+            const since = new Date(`${today}T00:00:00Z`);
+            since.setUTCDate(since.getUTCDate() - rule.days);
+            const low = getLowestRecorded(tripHistory, subject.key, today, since.toISOString().split('T')[0]);
+            return low !== null && meetsThreshold(price - low, low, rule)
+                ? { referencePrice: low, referenceLabel: `${rule.days}-Day Low` }
+                : null;
+        }
+
+        default:
+            return null;
+    }
+}
+
+// Skip an alert already sent within the rule's cooldown, or sent at the same price
+function isDuplicate(rule, key, price, alertLog, now) {
+    const previous = [...alertLog].reverse().find(entry => entry.key === key);
+    if (!previous) return false;
+    if (previous.price === price) return true;
+    return now - new Date(previous.at) < rule.cooldownHours * 3600000;
+}
+
+// Flight without the raw offers, small enough to keep in history
+function storableFlight(flight) {
+    const { offer, offers, ...rest } = flight;
+    return rest;
+}
+
+// Evaluate every rule for a trip. Mutates the trip history (baselines, alert log,
+// held alerts) and returns the alerts to send now.
+function evaluateAlertRules({ trip, categories, flights, tripHistory, todayHistory, today, now = new Date() }) {
+    const rules = trip.alertRules;
+    const timezone = trip.timezone || 'Asia/Kolkata';
+    const context = { tripHistory, todayHistory, today };
+    tripHistory.alerts = tripHistory.alerts || [];
+    tripHistory.heldAlerts = tripHistory.heldAlerts || [];
+
+    const raised = [];
+    for (const rule of rules) {
+        for (const subject of getSubjects(rule, categories, flights)) {
+            // First sighting of a subject today just sets its baseline
+            if (getBaseline(todayHistory, subject.key) == null) {
+                setBaseline(todayHistory, subject.key, subject.flight.price);
+            }
+
+            const match = checkRule(rule, subject, context);
+            if (!match) continue;
+
+            const key = `${rule.id}|${subject.key}`;
+            if (isDuplicate(rule, key, subject.flight.price, tripHistory.alerts, now)) continue;
+
+            raised.push({
+                key,
+                rule,
+                ruleId: rule.id,
+                type: rule.type,
+                subject: subject.key,
+                category: subject.label,
+                flight: subject.flight,
+                oldPrice: match.referencePrice,
+                newPrice: subject.flight.price,
+                referenceLabel: match.referenceLabel
+            });
+        }
+    }
+
+    // Release alerts held during quiet hours, unless a fresh one replaces them
+    const ready = [];
+    const stillHeld = [];
+    for (const held of tripHistory.heldAlerts) {
+        if (raised.some(alert => alert.key === held.key)) continue;
+        const rule = rules.find(r => r.id === held.ruleId);
+        if (rule && isQuietTime(rule, timezone, now)) {
+            stillHeld.push(held);
+        } else {
+            ready.push({ ...held, rule: rule || null, held: true });
+        }
+    }
+
+    for (const alert of raised) {
+        if (isQuietTime(alert.rule, timezone, now)) {
+            const { rule, ...rest } = alert;
+            stillHeld.push({ ...rest, flight: storableFlight(alert.flight), heldAt: now.toISOString() });
+            console.log(`Holding ${alert.ruleId} alert for ${alert.category} until quiet hours end`);
+            continue;
+        }
+        ready.push(alert);
+    }
+
+    tripHistory.heldAlerts = stillHeld;
+
+    for (const alert of ready) {
+        if (['drop', 'percentDrop', 'airlineDrop'].includes(alert.type)) {
+            setBaseline(todayHistory, alert.subject, alert.newPrice);
+        }
+        tripHistory.alerts.push({
+            key: alert.key,
+            ruleId: alert.ruleId,
+            type: alert.type,
+            subject: alert.subject,
+            price: alert.newPrice,
+            referencePrice: alert.oldPrice,
+            at: now.toISOString()
+        });
+    }
+    tripHistory.alerts = tripHistory.alerts.slice(-MAX_ALERT_LOG);
+
+    return ready;
+}
+
+// Record the lowest price seen today for every category and airline
+function recordDailyLows(todayHistory, categories, flights) {
+    todayHistory.lows = todayHistory.lows || {};
+    const update = (key, price) => {
+        const current = todayHistory.lows[key];
+        if (current === undefined || price < current) todayHistory.lows[key] = price;
+    };
+
+    for (const category of Object.keys(CATEGORY_LABELS)) {
+        if (categories[category]) update(category, categories[category].price);
+    }
+    for (const flight of flights) {
+        for (const code of flightAirlineCodes(flight)) update(`airline:${code}`, flight.price);
+    }
+}
+
+// Short human-readable description of a rule for the summary email
+function describeRule(rule) {
+    // Per-person rules are described in the amounts they were written in
+    const money = value => rule.per === 'person'
+        ? `Rs ${Math.round(value / rule.seats).toLocaleString('en-IN')} per person`
+        : `Rs ${value.toLocaleString('en-IN')}`;
+    const threshold = rule.percent ? `${rule.percent}%` : money(rule.amount || 0);
+    const watching = rule.type === 'airlineDrop'
+        ? rule.airline
+        : rule.categories.map(c => CATEGORY_LABELS[c]).join(', ');
+
+    switch (rule.type) {
+        case 'targetPrice':
+            return `${watching} at or below ${money(rule.price)}`;
+        case 'drop':
+        case 'percentDrop':
+        case 'airlineDrop':
+            return `${watching} drops by ${threshold}`;
+        case 'allTimeLow':
+            return `${watching} hits a new all-time low`;
+        case 'priceRise':
+            return `${watching} rises ${threshold} above its ${rule.days}-day low`;
+        default:
+            return rule.type;
+    }
+}
+
+// Short "Down Rs 500" / "Up Rs 500" for an alert
+function describePriceChange(alert) {
+    const change = alert.oldPrice - alert.newPrice;
+    return change >= 0
+        ? `Down Rs ${change.toLocaleString('en-IN')}`
+        : `Up Rs ${(-change).toLocaleString('en-IN')}`;
+}
+
+module.exports = {
+    ALERT_TITLES,
+    normalizeAlertRules,
+    evaluateAlertRules,
+    recordDailyLows,
+    describeRule,
+    describePriceChange
+};
@@ -0,0 +1,123 @@
+// Buy-now vs wait recommendation from a trip's daily price history.
+//
+// Works on the cheapest daily low (falling back to the legacy daily baseline)
+// and looks at moving averages, day-to-day volatility, the lowest price seen and
+// how fast the fare has been moving as departure gets closer.
+
+const VERDICTS = {
+    book: 'Book now',
+    wait: 'Wait',
+    rising: 'Price likely rising'
+};
+
+const MIN_POINTS = 3;
+const TREND_DAYS = 14;
+const LAST_MINUTE_DAYS = 7;
+
+function dayNumber(dateString) {
+    return Math.round(new Date(`${dateString}T00:00:00Z`).getTime() / 86400000);
+}
+
+function mean(values) {
+    return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+function standardDeviation(values) {
+    if (values.length < 2) return 0;
+    const avg = mean(values);
+    return Math.sqrt(mean(values.map(v => (v - avg) ** 2)));
+}
+
+// Least-squares slope of y over x
+function slope(points) {
+    if (points.length < 2) return 0;
+    const avgX = mean(points.map(p => p[0]));
+    const avgY = mean(points.map(p => p[1]));
+    const numerator = points.reduce((sum, [x, y]) => sum + (x - avgX) * (y - avgY), 0);
+    const denominator = points.reduce((sum, [x]) => sum + (x - avgX) ** 2, 0);
+    return denominator === 0 ? 0 : numerator / denominator;
+}
+
+// [{ date, price }] of the cheapest daily low, oldest first
+function dailyCheapest(tripHistory) {
+    return (tripHistory.daily || [])
+        .map(entry => ({
+            date: entry.date,
+            price: entry.lows && typeof entry.lows.cheapest === 'number' ? entry.lows.cheapest : entry.cheapest
+        }))
+        .filter(point => typeof point.price === 'number')
+        .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+function movingAverage(series, days) {
+    const window = series.slice(-days).map(p => p.price);
+    return window.length > 0 ? Math.round(mean(window)) : null;
+}
+
+// Analyse the trip's history against the current cheapest price.
+// Returns { verdict, label, reasons, stats }.
+function analyzePriceTrend({ trip, tripHistory, today, currentPrice }) {
+    const series = dailyCheapest(tripHistory);
+    const daysToDeparture = dayNumber(trip.outboundDate) - dayNumber(today);
+
+    const lowest = series.reduce((min, p) => !min || p.price < min.price ? p : min, null);
+    const changes = series.slice(1).map((p, i) => (p.price - series[i].price) / series[i].price * 100);
+    const recent = series.filter(p => dayNumber(today) - dayNumber(p.date) <= TREND_DAYS);
+    const trendPerDay = Math.round(slope(recent.map(p => [dayNumber(p.date), p.price])));
+
+    const stats = {
+        currentPrice,
+        daysToDeparture,
+        dataPoints: series.length,
+        lowestPrice: lowest ? Math.min(lowest.price, currentPrice) : currentPrice,
+        lowestDate: lowest && lowest.price < currentPrice ? lowest.date : today,
+        movingAverage3: movingAverage(series, 3),
+        movingAverage7: movingAverage(series, 7),
+        volatility: Math.round(standardDeviation(changes) * 10) / 10, // std dev of daily % change
+        trendPerDay // Rs per day over the last two weeks; positive means rising
+    };
+
+    const reasons = [];
+    let verdict;
+
+    if (daysToDeparture <= LAST_MINUTE_DAYS) {
+        verdict = 'book';
+        reasons.push(`Only ${Math.max(daysToDeparture, 0)} day(s) to departure; fares rarely fall this close in.`);
+    } else if (series.length < MIN_POINTS) {
+        verdict = 'wait';
+        reasons.push(`Only ${series.length} day(s) of history so far; not enough to call a trend.`);
+    } else {
+        const nearLow = currentPrice <= stats.lowestPrice * 1.02;
+        const aboveAverage = stats.movingAverage7 !== null && currentPrice > stats.movingAverage7;
+        const band = stats.movingAverage7 * (Math.max(stats.volatility, 1) / 100);
+        const risingFast = trendPerDay > 0 && (trendPerDay / currentPrice) * 100 >= 0.5;
+
+        if (nearLow) {
+            verdict = 'book';
+            reasons.push(`Current price is within 2% of the lowest seen (Rs ${stats.lowestPrice.toLocaleString('en-IN')}).`);
+        } else if (risingFast) {
+            verdict = 'rising';
+            reasons.push(`Fares have been climbing about Rs ${trendPerDay.toLocaleString('en-IN')} a day over the last ${TREND_DAYS} days.`);
+        } else if (aboveAverage && currentPrice - stats.movingAverage7 > band) {
+            verdict = 'wait';
+            reasons.push(`Current price is Rs ${(currentPrice - stats.movingAverage7).toLocaleString('en-IN')} above the 7-day average, more than the usual day-to-day swing.`);
+        } else if (trendPerDay < 0) {
+            verdict = 'wait';
+            reasons.push(`Fares are drifting down by about Rs ${(-trendPerDay).toLocaleString('en-IN')} a day.`);
+        } else {
+            verdict = 'book';
+            reasons.push('Prices are flat and close to their recent average; waiting is unlikely to save much.');
+        }
+
+        if (stats.volatility >= 5) {
+            reasons.push(`Prices are volatile (daily swings of about ${stats.volatility}%), so a short-lived dip is possible.`);
+        }
+        if (verdict !== 'book' && daysToDeparture <= 21) {
+            reasons.push(`${daysToDeparture} days to departure: domestic fares usually start rising in the last three weeks.`);
+        }
+    }
+
+    return { verdict, label: VERDICTS[verdict], reasons, stats };
+}
+
+module.exports = { analyzePriceTrend, VERDICTS };
@@ -0,0 +1,92 @@
+const { parseArgs } = require('util');
+
+// Command-line parsing and terminal output helpers for check-flights.js
+
+const COMMANDS = ['check', 'search', 'summary', 'history', 'render', 'status', 'serve'];
+
+const USAGE = `Usage: node check-flights.js [command] [options]
+
+Commands:
+  check      Search, update history and send summaries/alerts (default)
+  search     Search and print matching flights; changes nothing
+  summary    Send the daily summary now
+  history    Show recorded prices
+  render     Write email HTML to a file instead of sending it
+  status     Show recent runs and whether the tracker is healthy
+  serve      Run checks on a schedule and serve a JSON API until stopped
+
+Options:
+  --trip <id>        Only this trip (repeatable)
+  --dry-run          Don't save history or send anything
+  --no-notify        Don't send anything (history is still saved)
+  --flight <number>  history: show the price series for a flight, e.g. 6E2134
+  --days <n>         history: only the last n days
+  --type <type>      render: summary (default) or alert
+  --out <file>       render: output file (default email-preview.html)
+  --port <n>         serve: port to listen on (default PORT or 8080)
+  -h, --help         Show this help`;
+
+const OPTIONS = {
+    'trip': { type: 'string', multiple: true },
+    'dry-run': { type: 'boolean' },
+    'no-notify': { type: 'boolean' },
+    'flight': { type: 'string' },
+    'days': { type: 'string' },
+    'type': { type: 'string' },
+    'out': { type: 'string' },
+    'port': { type: 'string' },
+    'help': { type: 'boolean', short: 'h' }
+};
+
+// Parse argv into { command, options }. Throws on unknown commands or flags.
+function parseCommandLine(argv) {
+    const { values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    const command = positionals[0] || 'check';
+
+    if (!COMMANDS.includes(command)) {
+        throw new Error(`Unknown command "${command}" (expected one of: ${COMMANDS.join(', ')})`);
+    }
+    if (positionals.length > 1) {
+        throw new Error(`Unexpected argument "${positionals[1]}"`);
+    }
+    if (values.days !== undefined && !(parseInt(values.days, 10) > 0)) {
+        throw new Error('--days must be a positive number');
+    }
+    if (values.port !== undefined && !/^\d+$/.test(values.port)) {
+        throw new Error('--port must be a number');
+    }
+    if (values.type !== undefined && !['summary', 'alert'].includes(values.type)) {
+        throw new Error('--type must be summary or alert');
+    }
+
+    return {
+        command,
+        options: {
+            trips: values.trip || [],
+            dryRun: Boolean(values['dry-run']),
+            notify: !values['dry-run'] && !values['no-notify'],
+            flight: values.flight || null,
+            days: values.days ? parseInt(values.days, 10) : null,
+            type: values.type || 'summary',
+            out: values.out || 'email-preview.html',
+            port: parseInt(values.port || process.env.PORT || '8080', 10),
+            help: Boolean(values.help)
+        }
+    };
+}
+
+// Plain-text table with right-aligned numbers
+function formatTable(headers, rows) {
+    const cells = rows.map(row => row.map(cell => (cell === null || cell === undefined ? '-' : String(cell))));
+    const widths = headers.map((header, i) => Math.max(header.length, ...cells.map(row => row[i].length)));
+    const isNumeric = headers.map((_, i) => cells.length > 0 && cells.every(row => /^-?[\d,]+$|^-$/.test(row[i])));
+    const pad = (text, i) => isNumeric[i] ? text.padStart(widths[i]) : text.padEnd(widths[i]);
+
+    return [
+        headers.map(pad).join('  '),
+        widths.map(width => '-'.repeat(width)).join('  '),
+        ...cells.map(row => row.map(pad).join('  '))
+    ].join('\n');
+}
+
+module.exports = { parseCommandLine, formatTable, USAGE };
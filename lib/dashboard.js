@@ -0,0 +1,264 @@
+const { ALERT_TITLES } = require('./alerts');
+
+// Self-contained static HTML dashboard built from price-history.json.
+// Charts are inline SVG so the page has no external dependencies and can be
+// published as-is to GitHub Pages.
+
+const CHART_WIDTH = 640;
+const CHART_HEIGHT = 220;
+const PADDING = { top: 15, right: 15, bottom: 30, left: 70 };
+const COLORS = ['#667eea', '#f5576c', '#1e8e3e', '#f4a100', '#00a3bf', '#8e44ad', '#5f6368', '#c0392b'];
+
+const CATEGORY_NAMES = {
+    fastest: 'Fastest',
+    cheapest: 'Cheapest',
+    bestOneStop: 'Best 1-Stop'
+};
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function formatPrice(price) {
+    return `Rs ${Math.round(price).toLocaleString('en-IN')}`;
+}
+
+function dayNumber(dateString) {
+    return Math.round(new Date(`${dateString.slice(0, 10)}T00:00:00Z`).getTime() / 86400000);
+}
+
+function dayLabel(day) {
+    return new Date(day * 86400000).toISOString().slice(5, 10);
+}
+
+// Line chart. series: [{ name, points: [[x, y], ...] }] with numeric x.
+function renderLineChart(series, { xFormat = String, reverseX = false } = {}) {
+    const populated = series.filter(s => s.points.length > 0);
+    if (populated.length === 0) {
+        return '<p class="empty">Not enough data yet.</p>';
+    }
+
+    const xs = populated.flatMap(s => s.points.map(p => p[0]));
+    const ys = populated.flatMap(s => s.points.map(p => p[1]));
+    let [minX, maxX] = [Math.min(...xs), Math.max(...xs)];
+    let [minY, maxY] = [Math.min(...ys), Math.max(...ys)];
+    if (minX === maxX) { minX -= 1; maxX += 1; }
+    if (minY === maxY) { minY -= 100; maxY += 100; }
+
+    const plotWidth = CHART_WIDTH - PADDING.left - PADDING.right;
+    const plotHeight = CHART_HEIGHT - PADDING.top - PADDING.bottom;
+    const scaleX = x => {
+        const ratio = (x - minX) / (maxX - minX);
+        return PADDING.left + (reverseX ? 1 - ratio : ratio) * plotWidth;
+    };
+    const scaleY = y => PADDING.top + (1 - (y - minY) / (maxY - minY)) * plotHeight;
+
+    const gridLines = [0, 0.25, 0.5, 0.75, 1].map(ratio => {
+        const value = minY + ratio * (maxY - minY);
+        const y = scaleY(value).toFixed(1);
+        return `<line x1="${PADDING.left}" x2="${CHART_WIDTH - PADDING.right}" y1="${y}" y2="${y}" class="grid"/>` +
+            `<text x="${PADDING.left - 6}" y="${y}" class="axis" text-anchor="end" dominant-baseline="middle">${formatPrice(value)}</text>`;
+    }).join('');
+
+    const xTicks = [0, 0.5, 1].map(ratio => {
+        const value = Math.round(minX + ratio * (maxX - minX));
+        return `<text x="${scaleX(value).toFixed(1)}" y="${CHART_HEIGHT - 8}" class="axis" text-anchor="middle">${escapeHtml(xFormat(value))}</text>`;
+    }).join('');
+
+    const lines = populated.map((s, index) => {
+        const color = COLORS[index % COLORS.length];
+        const sorted = [...s.points].sort((a, b) => a[0] - b[0]);
+        const path = sorted.map(p => `${scaleX(p[0]).toFixed(1)},${scaleY(p[1]).toFixed(1)}`).join(' ');
+        const dots = sorted.map(p => `<circle cx="${scaleX(p[0]).toFixed(1)}" cy="${scaleY(p[1]).toFixed(1)}" r="2.5" fill="${color}"><title>${escapeHtml(s.name)}: ${formatPrice(p[1])}</title></circle>`).join('');
+        return `<polyline points="${path}" fill="none" stroke="${color}" stroke-width="2"/>${dots}`;
+    }).join('');
+
+    const legend = populated.map((s, index) =>
+        `<span class="legend-item"><span class="swatch" style="background: ${COLORS[index % COLORS.length]}"></span>${escapeHtml(s.name)}</span>`
+    ).join('');
+
+    return `<svg viewBox="0 0 ${CHART_WIDTH} ${CHART_HEIGHT}" class="chart" role="img">${gridLines}${xTicks}${lines}</svg><div class="legend">${legend}</div>`;
+}
+
+// Daily low for a subject key ("cheapest", "airline:6E"), falling back to the legacy baseline
+function dailyValue(entry, key) {
+    if (entry.lows && typeof entry.lows[key] === 'number') return entry.lows[key];
+    return key in CATEGORY_NAMES && typeof entry[key] === 'number' ? entry[key] : null;
+}
+
+function seriesFor(daily, key, x) {
+    return daily
+        .map(entry => [x(entry), dailyValue(entry, key)])
+        .filter(p => p[1] !== null);
+}
+
+function airlineCodes(tripHistory) {
+    const codes = new Set();
+    for (const entry of tripHistory.daily) {
+        for (const key of Object.keys(entry.lows || {})) {
+            if (key.startsWith('airline:')) codes.add(key.slice(8));
+        }
+    }
+    return [...codes].sort();
+}
+
+function airlineNames(tripHistory) {
+    const names = {};
+    for (const series of Object.values(tripHistory.offers || {})) {
+        names[series.airlineCode] = series.airline;
+    }
+    return names;
+}
+
+// Offers still being returned at the latest run, cheapest first
+function currentBestOffers(tripHistory, limit = 10) {
+    const offers = Object.entries(tripHistory.offers || {});
+    if (offers.length === 0) return [];
+    const latest = offers.reduce((max, [, s]) => s.lastSeen > max ? s.lastSeen : max, '');
+
+    return offers
+        .filter(([, s]) => s.lastSeen === latest && s.points.length > 0 && s.points[s.points.length - 1][1] !== null)
+        .map(([key, s]) => {
+            const prices = s.points.map(p => p[1]).filter(p => p !== null);
+            return {
+                key,
+                airline: s.airline,
+                outbound: s.outbound.join(' + '),
+                return: s.return.join(' + '),
+                price: s.points[s.points.length - 1][1],
+                low: Math.min(...prices),
+                high: Math.max(...prices),
+                firstSeen: s.firstSeen
+            };
+        })
+        .sort((a, b) => a.price - b.price)
+        .slice(0, limit);
+}
+
+function renderOffersTable(offers) {
+    if (offers.length === 0) return '<p class="empty">No offers recorded yet.</p>';
+    const rows = offers.map(o => `
+            <tr>
+                <td>${escapeHtml(o.airline)}</td>
+                <td>${escapeHtml(o.outbound)}</td>
+                <td>${escapeHtml(o.return)}</td>
+                <td class="num">${formatPrice(o.price)}</td>
+                <td class="num">${formatPrice(o.low)}</td>
+                <td class="num">${formatPrice(o.high)}</td>
+                <td>${escapeHtml(o.firstSeen.slice(0, 10))}</td>
+            </tr>`).join('');
+    return `
+        <table>
+            <tr><th>Airline</th><th>Outbound</th><th>Return</th><th>Now</th><th>Low</th><th>High</th><th>Tracked since</th></tr>${rows}
+        </table>`;
+}
+
+function renderAlertLog(alerts = []) {
+    if (alerts.length === 0) return '<p class="empty">No alerts sent yet.</p>';
+    const rows = [...alerts].reverse().slice(0, 50).map(a => `
+            <tr>
+                <td>${escapeHtml(a.at.replace('T', ' ').slice(0, 16))}</td>
+                <td>${escapeHtml(ALERT_TITLES[a.type] || a.type)}</td>
+                <td>${escapeHtml(CATEGORY_NAMES[a.subject] || a.subject.replace('airline:', ''))}</td>
+                <td class="num">${formatPrice(a.referencePrice)}</td>
+                <td class="num">${formatPrice(a.price)}</td>
+            </tr>`).join('');
+    return `
+        <table>
+            <tr><th>Sent (UTC)</th><th>Alert</th><th>For</th><th>Reference</th><th>Price</th></tr>${rows}
+        </table>`;
+}
+
+function renderTrip(trip, tripHistory) {
+    const daily = [...(tripHistory.daily || [])].sort((a, b) => a.date.localeCompare(b.date));
+    const byDate = entry => dayNumber(entry.date);
+    const names = airlineNames(tripHistory);
+
+    const categoryChart = renderLineChart(
+        Object.entries(CATEGORY_NAMES).map(([key, name]) => ({ name, points: seriesFor(daily, key, byDate) })),
+        { xFormat: dayLabel }
+    );
+    const airlineChart = renderLineChart(
+        airlineCodes(tripHistory).map(code => ({
+            name: names[code] ? `${names[code]} (${code})` : code,
+            points: seriesFor(daily, `airline:${code}`, byDate)
+        })),
+        { xFormat: dayLabel }
+    );
+    const departureChart = trip.outboundDate
+        ? renderLineChart(
+            [{ name: 'Cheapest', points: seriesFor(daily, 'cheapest', entry => dayNumber(trip.outboundDate) - dayNumber(entry.date)) }],
+            { xFormat: days => `${days}d out`, reverseX: true }
+        )
+        : '<p class="empty">Trip is no longer in the watchlist.</p>';
+
+    return `
+    <section class="trip">
+        <h2>${escapeHtml(trip.name)} ${trip.outboundDate ? `<small>${escapeHtml(trip.origin)} to ${escapeHtml(trip.destination)} | ${escapeHtml(trip.outboundDate)} - ${escapeHtml(trip.returnDate)}</small>` : ''}</h2>
+        <p class="meta">Last checked: ${escapeHtml(tripHistory.lastCheck || 'never')}</p>
+        <div class="grid-2">
+            <div class="card"><h3>Daily low by category</h3>${categoryChart}</div>
+            <div class="card"><h3>Daily low by airline</h3>${airlineChart}</div>
+            <div class="card"><h3>Cheapest fare vs days to departure</h3>${departureChart}</div>
+        </div>
+        <div class="card"><h3>Current best offers</h3>${renderOffersTable(currentBestOffers(tripHistory))}</div>
+        <div class="card"><h3>Alert log</h3>${renderAlertLog(tripHistory.alerts)}</div>
+    </section>`;
+}
+
+// Build the dashboard for every trip that has history.
+// trips: watchlist trips; trips only present in the history are shown by id.
+function buildDashboard({ trips, history, generatedAt = new Date() }) {
+    const known = new Map(trips.map(trip => [trip.id, trip]));
+    const sections = Object.entries(history.trips || {}).map(([id, tripHistory]) => {
+        const trip = known.get(id) || { id, name: id, outboundDate: null };
+        return renderTrip(trip, tripHistory);
+    });
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <title>Flight Price Dashboard</title>
+    <style>
+        body { font-family: 'Segoe UI', Arial, sans-serif; background: #f5f5f5; margin: 0; padding: 20px; color: #333; }
+        header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 25px 30px; border-radius: 10px; }
+        header h1 { margin: 0; font-size: 24px; }
+        header p { margin: 8px 0 0 0; opacity: 0.9; }
+        .trip { margin-top: 25px; }
+        .trip h2 small { font-size: 14px; color: #888; font-weight: normal; }
+        .meta { color: #888; font-size: 13px; margin-top: -10px; }
+        .grid-2 { display: grid; grid-template-columns: repeat(auto-fit, minmax(420px, 1fr)); gap: 15px; }
+        .card { background: white; border-radius: 10px; box-shadow: 0 2px 10px rgba(0,0,0,0.08); padding: 15px 20px; margin-bottom: 15px; }
+        .card h3 { margin: 0 0 10px 0; font-size: 16px; }
+        .chart { width: 100%; height: auto; }
+        .chart .grid { stroke: #eee; }
+        .chart .axis { font-size: 11px; fill: #888; }
+        .legend { font-size: 12px; color: #666; }
+        .legend-item { margin-right: 12px; white-space: nowrap; }
+        .swatch { display: inline-block; width: 10px; height: 10px; border-radius: 2px; margin-right: 4px; }
+        table { width: 100%; border-collapse: collapse; font-size: 13px; }
+        th, td { border-bottom: 1px solid #eee; padding: 6px 8px; text-align: left; }
+        th { background: #f0f4ff; }
+        .num { text-align: right; }
+        .empty { color: #888; font-style: italic; }
+        footer { text-align: center; color: #888; font-size: 12px; margin-top: 20px; }
+    </style>
+</head>
+<body>
+    <header>
+        <h1>Flight Price Dashboard</h1>
+        <p>${sections.length} trip(s) | Generated ${escapeHtml(generatedAt.toISOString().replace('T', ' ').slice(0, 16))} UTC</p>
+    </header>
+    ${sections.join('\n') || '<p class="empty">No price history yet.</p>'}
+    <footer>Powered by Amadeus API | GitHub Actions</footer>
+</body>
+</html>`;
+}
+
+module.exports = { buildDashboard, renderLineChart };
@@ -0,0 +1,28 @@
+const { formatText } = require('../notifiers/format');
+const { TEMPLATES } = require('./templates');
+const { footerLines, DISPLAY_TIMEZONE } = require('./partials');
+
+// Email rendering.
+//
+// Every message gets an HTML part from its kind's template (templates.js),
+// assembled from shared partials (partials.js) with inline styles (styles.js),
+// and a plain-text alternative built from the same content the chat channels
+// use (lib/notifiers/format.js).
+
+// { html, text } for a message.
+// context: { now, nextCheck, timezone } - nextCheck is the time of the next scheduled run, shown in the footer;
+// times are shown in `timezone` (the trip's or summary schedule's)
+function renderEmail(message, { now = new Date(), nextCheck = null, timezone = DISPLAY_TIMEZONE } = {}) {
+    const template = TEMPLATES[message.kind];
+    if (!template) {
+        throw new Error(`No email template for message kind "${message.kind}" (expected one of: ${Object.keys(TEMPLATES).join(', ')})`);
+    }
+
+    const { title, body } = formatText(message);
+    return {
+        html: template(message, { now, nextCheck, timezone }),
+        text: [title, '', body, '', '--', ...footerLines(nextCheck, timezone)].join('\n')
+    };
+}
+
+module.exports = { renderEmail };
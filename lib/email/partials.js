@@ -0,0 +1,232 @@
+const { getAirlineName, describeAirport } = require('../reference');
+const { formatPrice, describeFlightFare, describeSeparateTickets, describeLegRoute } = require('../notifiers/format');
+const { style } = require('./styles');
+
+// Building blocks shared by the email templates. Every partial returns an HTML
+// string with inline styles (see styles.js); values that come from the watchlist
+// or the provider are escaped.
+
+const DISPLAY_TIMEZONE = 'Asia/Kolkata';
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function formatTripDate(dateString) {
+    return new Date(`${dateString}T00:00:00Z`).toLocaleDateString('en-IN', {
+        day: 'numeric',
+        month: 'short',
+        year: 'numeric',
+        timeZone: 'UTC'
+    });
+}
+
+// "Mon, 20 Oct, 11:00 am IST"-style time in the message's timezone (the display timezone by default)
+function formatRunTime(date, options = { weekday: 'short', day: 'numeric', month: 'short', hour: 'numeric', minute: '2-digit' }, timezone = DISPLAY_TIMEZONE) {
+    return date.toLocaleString('en-IN', { ...options, timeZone: timezone, timeZoneName: 'short' });
+}
+
+function formatStops(stops) {
+    return stops === 0 ? 'Non-stop' : `${stops} stop`;
+}
+
+// Whole document: a centred 700px table with a coloured header, the sections and a footer
+function layout({ accent, title, highlight = null, lines = [], sections, footer }) {
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+</head>
+<body ${style('body')}>
+<table role="presentation" width="700" align="center" cellpadding="0" cellspacing="0" border="0" ${style('container')}>
+    <tr>
+        <td bgcolor="${accent}" ${style('header', `background-color: ${accent};`)}>
+            <h1 ${style('headerTitle')}>${escapeHtml(title)}</h1>
+            ${highlight ? `<div ${style('headerHighlight')}>${escapeHtml(highlight)}</div>` : ''}
+            ${lines.map(line => `<p ${style('headerLine')}>${escapeHtml(line)}</p>`).join('\n            ')}
+        </td>
+    </tr>
+    ${sections.filter(Boolean).map(section => `<tr><td ${style('section')}>${section}</td></tr>`).join('\n    ')}
+    <tr>
+        <td ${style('footer')}>${footer.map(escapeHtml).join('<br>')}</td>
+    </tr>
+</table>
+</body>
+</html>`;
+}
+
+function section(title, content) {
+    return `
+        ${title ? `<div ${style('sectionTitle')}>${escapeHtml(title)}</div>` : ''}
+        ${content}`;
+}
+
+// Row of figures side by side: [{ value, label }]
+function stats(items, accent) {
+    const cells = items.map(({ value, label }) => `
+            <td ${style('stat')} width="${Math.floor(100 / items.length)}%">
+                <div ${style('statValue', `color: ${accent};`)}>${escapeHtml(value)}</div>
+                <div ${style('statLabel')}>${escapeHtml(label)}</div>
+            </td>`).join('');
+    return `<table role="presentation" cellpadding="0" cellspacing="0" border="0" ${style('stats')}><tr>${cells}
+        </tr></table>`;
+}
+
+function note(content) {
+    return `<div ${style('note')}>${content}</div>`;
+}
+
+// One line per segment (flight, terminals, aircraft, operator) with the layovers in between
+function segmentDetails(leg) {
+    if (!leg.segments) return '';
+
+    const lines = leg.segments.map((segment, i) => {
+        const from = `${segment.from.airport}${segment.from.terminal ? ` T${segment.from.terminal}` : ''}`;
+        const to = `${segment.to.airport}${segment.to.terminal ? ` T${segment.to.terminal}` : ''}`;
+        const extras = [];
+        if (segment.aircraft) extras.push(segment.aircraft.name || segment.aircraft.code);
+        if (segment.operatingCarrierCode !== segment.carrierCode) {
+            extras.push(`operated by ${getAirlineName(segment.operatingCarrierCode)}`);
+        }
+
+        let line = `<div>${escapeHtml(`${segment.flightNumber}: ${from} ${segment.from.at.slice(11, 16)} to ${to} ${segment.to.at.slice(11, 16)}${extras.length > 0 ? ` (${extras.join(', ')})` : ''}`)}</div>`;
+
+        const layover = leg.layovers[i];
+        if (layover) {
+            const notes = [];
+            if (layover.overnight) notes.push('overnight');
+            if (layover.changeOfAirport) notes.push('change of airport');
+            line += `<div ${style('layover')}>Layover in ${escapeHtml(describeAirport(layover.airport))}: ${Math.floor(layover.minutes / 60)}h ${layover.minutes % 60}m${notes.length > 0 ? ` (${notes.join(', ')})` : ''}</div>`;
+        }
+        return line;
+    });
+
+    return `<div ${style('segments')}>${lines.join('')}</div>`;
+}
+
+function legLine(label, leg, { segments }) {
+    return `
+                <div ${style('details')}>
+                    <strong>${label}:</strong> ${escapeHtml(`${describeLegRoute(leg)}, ${leg.departure} - ${leg.arrival} (${leg.duration}, ${formatStops(leg.stops)})`)}
+                </div>
+                ${segments ? segmentDetails(leg) : ''}`;
+}
+
+// Confirmed price, change fee and baggage line, e.g.
+// "Price confirmed | Change fee: Rs 3,000 | Checked bags: 15 KG"
+function describeFareConditions(flight) {
+    const parts = [];
+    const { confirmedPrice } = flight.fare;
+    if (confirmedPrice !== null && confirmedPrice !== undefined) {
+        parts.push(confirmedPrice === flight.price
+            ? 'Price confirmed'
+            : `Confirmed price: ${formatPrice(confirmedPrice)} (searched at ${formatPrice(flight.price)})`);
+    }
+    if (flight.fare.changeFee !== null && flight.fare.changeFee !== undefined) {
+        parts.push(`Change fee: ${formatPrice(flight.fare.changeFee)}`);
+    }
+    if (flight.fare.checkedBags) {
+        parts.push(`Checked bags: ${flight.fare.checkedBags}`);
+    }
+    return parts.join(' | ');
+}
+
+function priceBox(price, label, accent) {
+    return `
+                <div ${style('priceBox')}>
+                    <div ${style('price', `color: ${accent};`)}>${formatPrice(price)}</div>
+                    <div ${style('priceLabel')}>${escapeHtml(label)}</div>
+                </div>`;
+}
+
+// Label of the cheapest fare: what its fare rules say, when they were fetched
+function baseFareLabel(fare) {
+    if (fare.nonRefundable === true) return 'Non-Refundable';
+    if (fare.nonRefundable === false) return 'Refundable (fare rules)';
+    return 'Lowest Fare';
+}
+
+// Cheapest, refundable and flexible prices with the fare conditions
+function fareOptions(flight, accent) {
+    const { fare } = flight;
+    const refundableLabel = fare.refundableSource === 'estimate'
+        ? 'Refundable (Est.)'
+        : `Refundable - ${fare.refundable.brand || 'fare family'}`;
+    const conditions = describeFareConditions(flight);
+
+    return [
+        priceBox(flight.price, baseFareLabel(fare), accent),
+        // No estimated refundable upgrade when the cheapest fare is refundable already
+        fare.nonRefundable === false && fare.refundableSource === 'estimate'
+            ? ''
+            : priceBox(flight.refundablePrice, `${refundableLabel} - ${formatPrice(flight.refundablePrice - flight.price)} more`, accent),
+        fare.flexible ? priceBox(fare.flexible.price, `Flexible - ${fare.flexible.brand || 'free changes'} - ${formatPrice(fare.flexible.price - flight.price)} more`, accent) : '',
+        conditions ? `<div ${style('details')}>${escapeHtml(conditions)}</div>` : ''
+    ].join('');
+}
+
+// The flight card used by every email.
+// options: { accent, title, badge, segments, fares, price, seats, footer }
+//   title     heading text (defaults to the airline)
+//   badge     small pill on the right of the heading, e.g. a score
+//   segments  show each leg's segments and layovers
+//   fares     show the fare options (needs fare details applied)
+//   price     show the price on its own line (when fares are off)
+//   seats     show the bookable seats
+//   footer    extra HTML at the bottom of the card
+function flightCard(flight, { accent, title = null, badge = null, segments = true, fares = false, price = false, seats = false, footer = '' }) {
+    const heading = title || `${flight.airline} ${flight.airlineCode}`;
+    return `
+            <div ${style('card', `border-left: 4px solid ${accent};`)}>
+                <div ${style('airline')}>${escapeHtml(heading)}${badge !== null ? ` <span ${style('score', `background-color: ${accent};`)}>${escapeHtml(badge)}</span>` : ''}</div>
+                ${flight.separateTickets ? `<div ${style('details')}>${escapeHtml(describeSeparateTickets(flight))} - book each one on its own</div>` : ''}
+                ${legLine('Outbound', flight.outbound, { segments })}
+                ${legLine('Return', flight.return, { segments })}
+                ${price ? `<div ${style('price', `color: ${accent};`)}>${formatPrice(flight.price)}</div>` : ''}
+                ${fares ? fareOptions(flight, accent) : ''}
+                ${describeFlightFare(flight) ? `<div ${style('details')}>${escapeHtml(describeFlightFare(flight))}</div>` : ''}
+                ${seats && flight.seats !== null ? `<div ${style('details')}>${flight.seats} seat${flight.seats === 1 ? '' : 's'} bookable at this fare</div>` : ''}
+                ${footer}
+            </div>`;
+}
+
+// Simple table with a header row; cells are HTML
+function table(headers, rows) {
+    return `
+            <table role="presentation" cellpadding="0" cellspacing="0" ${style('grid')}>
+                <tr>${headers.map(header => `<th ${style('gridHeader')}>${header}</th>`).join('')}</tr>
+                ${rows.map(row => `<tr>${row.join('')}</tr>`).join('\n                ')}
+            </table>`;
+}
+
+function footerLines(nextCheck, timezone = DISPLAY_TIMEZONE) {
+    return [
+        nextCheck ? `Next check: ${formatRunTime(nextCheck, { day: 'numeric', month: 'short', hour: 'numeric', minute: '2-digit' }, timezone)}` : null,
+        'Automated by Flight Tracker | Powered by Amadeus API'
+    ].filter(Boolean);
+}
+
+module.exports = {
+    DISPLAY_TIMEZONE,
+    escapeHtml,
+    formatPrice,
+    formatTripDate,
+    formatRunTime,
+    formatStops,
+    layout,
+    section,
+    stats,
+    note,
+    segmentDetails,
+    describeFareConditions,
+    fareOptions,
+    flightCard,
+    table,
+    footerLines
+};
@@ -0,0 +1,66 @@
+// Inline styles for the email templates.
+//
+// Gmail drops <style> blocks in some views and Outlook's Word renderer ignores
+// flexbox, gradients and most shorthand, so every element carries its own
+// style attribute and anything laid out side by side is a table. Each kind of
+// email has an accent colour; the header is a solid block of it.
+
+const ACCENTS = {
+    summary: '#667eea',
+    alert: '#f5576c',
+    digest: '#f5576c',
+    pinned: '#f08a5d',
+    failure: '#c5221f',
+    recovered: '#1e8e3e'
+};
+
+const STYLES = {
+    body: "margin: 0; padding: 20px; background-color: #f5f5f5; font-family: 'Segoe UI', Arial, sans-serif;",
+    container: 'width: 100%; max-width: 700px; background-color: #ffffff; border-collapse: collapse;',
+    header: 'padding: 30px; text-align: center; color: #ffffff;',
+    headerTitle: "margin: 0; font-size: 24px; font-family: 'Segoe UI', Arial, sans-serif; color: #ffffff;",
+    headerHighlight: 'margin: 15px 0 5px 0; font-size: 34px; font-weight: bold; color: #ffffff;',
+    headerLine: 'margin: 10px 0 0 0; font-size: 14px; color: #ffffff;',
+    section: 'padding: 25px; border-bottom: 1px solid #eeeeee;',
+    sectionTitle: 'margin: 0 0 15px 0; font-size: 18px; font-weight: bold; color: #333333;',
+    card: 'padding: 15px; margin: 0 0 15px 0; background-color: #f9f9f9;',
+    airline: 'margin: 0 0 8px 0; font-size: 16px; font-weight: bold; color: #333333;',
+    details: 'margin: 5px 0; font-size: 14px; color: #666666;',
+    segments: 'margin: 4px 0 8px 12px; padding-left: 10px; border-left: 2px solid #dddddd; font-size: 12px; color: #777777;',
+    layover: 'color: #b06000;',
+    priceBox: 'padding: 10px; margin-top: 10px; background-color: #ffffff;',
+    price: 'font-size: 20px; font-weight: bold;',
+    priceLabel: 'font-size: 12px; color: #888888;',
+    oldPrice: 'font-size: 16px; color: #999999; text-decoration: line-through;',
+    score: 'padding: 2px 10px; font-size: 13px; font-weight: bold; color: #ffffff;',
+    reasons: 'margin: 8px 0 0 0; padding-left: 18px; font-size: 13px; color: #555555;',
+    note: 'padding: 12px 15px; margin: 8px 0; background-color: #fff3cd; border-left: 4px solid #ffc107; font-size: 14px; color: #333333;',
+    stats: 'width: 100%; background-color: #f0f4ff; border-collapse: collapse;',
+    stat: 'padding: 15px 5px; text-align: center; vertical-align: top;',
+    statValue: 'font-size: 20px; font-weight: bold;',
+    statLabel: 'margin-top: 5px; font-size: 12px; color: #666666;',
+    verdict: 'display: inline-block; padding: 6px 14px; margin-bottom: 10px; font-weight: bold; color: #ffffff;',
+    grid: 'width: 100%; border-collapse: collapse; font-size: 13px;',
+    gridHeader: 'padding: 8px; border: 1px solid #eeeeee; background-color: #f0f4ff; text-align: center; color: #333333;',
+    gridCell: 'padding: 8px; border: 1px solid #eeeeee; text-align: center; color: #333333;',
+    gridTarget: 'border: 2px solid #667eea;',
+    gridBest: 'background-color: #e6f7ec; font-weight: bold;',
+    small: 'font-size: 11px; color: #888888;',
+    saving: 'font-size: 11px; color: #1e8e3e;',
+    extra: 'font-size: 11px; color: #c5221f;',
+    footer: 'padding: 20px; text-align: center; font-size: 12px; color: #888888; background-color: #f9f9f9;'
+};
+
+const VERDICT_COLORS = {
+    book: '#1e8e3e',
+    wait: '#667eea',
+    rising: '#f5576c'
+};
+
+// style="..." attribute from style names and extra declarations
+function style(...parts) {
+    const css = parts.map(part => STYLES[part] || part).join(' ');
+    return `style="${css}"`;
+}
+
+module.exports = { ACCENTS, STYLES, VERDICT_COLORS, style };
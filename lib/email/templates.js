@@ -0,0 +1,242 @@
+const { ALERT_TITLES, describeRule, describePriceChange } = require('../alerts');
+const { CHANGE_TITLES } = require('../pinned');
+const { describeLegWindows } = require('../time-windows');
+const { describeConnections } = require('../itinerary');
+const { formatPrice, describeTripSearch } = require('../notifiers/format');
+const { ACCENTS, VERDICT_COLORS, style } = require('./styles');
+const {
+    escapeHtml,
+    formatTripDate,
+    formatRunTime,
+    layout,
+    section,
+    stats,
+    note,
+    flightCard,
+    table,
+    footerLines
+} = require('./partials');
+
+// One template per message kind. Each takes the message (see lib/notifiers) and
+// { now, nextCheck, timezone } and returns the HTML document.
+
+function tripDates(trip) {
+    return `${formatTripDate(trip.outboundDate)} - ${formatTripDate(trip.returnDate)}`;
+}
+
+// Top-N offers by weighted score, each with the reasons for its rank
+function bestValueSection(bestValue, accent) {
+    return section('Best Value', bestValue.map(({ rank, score, flight, reasons }) => flightCard(flight, {
+        accent,
+        title: `#${rank} ${flight.airline} ${flight.airlineCode}`,
+        badge: score,
+        segments: false,
+        price: true,
+        footer: `<ul ${style('reasons')}>${reasons.map(reason => `<li>${escapeHtml(reason)}</li>`).join('')}</ul>`
+    })).join(''));
+}
+
+// Price and seats of each pinned flight
+function pinnedSection(pinned) {
+    return section('Pinned Flights', table(['Flight', 'Price', 'Seats'], pinned.map(({ pin, flight, status }) => [
+        `<td ${style('gridCell')}>${escapeHtml(pin.label)}<br><span ${style('small')}>${formatTripDate(pin.outboundDate)} - ${formatTripDate(pin.returnDate)}</span></td>`,
+        `<td ${style('gridCell')}>${status === 'missing' ? 'Not offered' : formatPrice(flight.price)}</td>`,
+        `<td ${style('gridCell')}>${flight && flight.seats !== null ? flight.seats : '-'}</td>`
+    ])));
+}
+
+// Buy-now vs wait recommendation with the numbers behind it
+function recommendationSection(analysis, accent) {
+    const { stats: figures } = analysis;
+    const formatRs = price => price === null ? '-' : formatPrice(price);
+    const trend = figures.trendPerDay === 0
+        ? 'Flat'
+        : `${figures.trendPerDay > 0 ? '+' : '-'}Rs ${Math.abs(figures.trendPerDay).toLocaleString('en-IN')}/day`;
+
+    return section('Book Now or Wait?', `
+            <div ${style('verdict', `background-color: ${VERDICT_COLORS[analysis.verdict] || accent};`)}>${escapeHtml(analysis.label)}</div>
+            ${analysis.reasons.map(reason => `<div ${style('details')}>${escapeHtml(reason)}</div>`).join('')}
+            <div style="margin-top: 15px;">${stats([
+        { value: formatRs(figures.lowestPrice), label: `Lowest Seen (${formatTripDate(figures.lowestDate)})` },
+        { value: formatRs(figures.movingAverage7), label: '7-Day Average' },
+        { value: trend, label: '14-Day Trend' },
+        { value: `${figures.volatility}%`, label: 'Daily Volatility' }
+    ], accent)}</div>`);
+}
+
+// Cheapest fare per outbound/return date pair, compared with the target dates
+function dateMatrixSection(trip, matrix) {
+    const target = matrix.cells[`${trip.outboundDate}|${trip.returnDate}`];
+    const prices = Object.values(matrix.cells).filter(Boolean).map(f => f.price);
+    if (prices.length === 0) return '';
+    const bestPrice = Math.min(...prices);
+
+    const rows = matrix.outboundDates.map(outboundDate => [
+        `<th ${style('gridHeader')}>Out ${formatTripDate(outboundDate)}</th>`,
+        ...matrix.returnDates.map(returnDate => {
+            if (!(`${outboundDate}|${returnDate}` in matrix.cells)) {
+                return `<td ${style('gridCell')}>-</td>`;
+            }
+
+            const flight = matrix.cells[`${outboundDate}|${returnDate}`];
+            if (!flight) return `<td ${style('gridCell')}>No flights</td>`;
+
+            const cellStyles = ['gridCell'];
+            if (outboundDate === trip.outboundDate && returnDate === trip.returnDate) cellStyles.push('gridTarget');
+            if (flight.price === bestPrice) cellStyles.push('gridBest');
+
+            let diff = '';
+            if (target && flight !== target) {
+                const delta = flight.price - target.price;
+                diff = delta < 0
+                    ? `<div ${style('saving')}>Save ${formatPrice(-delta)}</div>`
+                    : `<div ${style('extra')}>+${formatPrice(delta)}</div>`;
+            }
+
+            return `<td ${style(...cellStyles)}>${formatPrice(flight.price)}<br><span ${style('small')}>${escapeHtml(flight.airline)}</span>${diff}</td>`;
+        })
+    ]);
+
+    return section('Flexible Dates', `
+            ${table(['', ...matrix.returnDates.map(date => `Return ${formatTripDate(date)}`)], rows)}
+            <div ${style('details')}>Cheapest fare per date pair. Outlined cell is the target trip (${tripDates(trip)}).</div>`);
+}
+
+// Daily summary: the three picks, best value, pinned flights, recommendation, date matrix and tracking figures
+function summaryTemplate(message, { now, nextCheck, timezone }) {
+    const { trip, categories, matrix, analysis, bestValue = [], pinned = [] } = message;
+    const { fastest, cheapest, bestOneStop } = categories;
+    const accent = ACCENTS.summary;
+    const connections = describeConnections(trip.connections);
+
+    const picks = [
+        { title: 'Fastest Flight', label: 'Fastest', flight: fastest },
+        { title: 'Cheapest Flight', label: 'Cheapest', flight: cheapest },
+        { title: 'Best 1-Stop Option', label: 'Best 1-Stop', flight: bestOneStop }
+    ].filter(pick => pick.flight);
+
+    return layout({
+        accent,
+        title: 'Daily Flight Update',
+        lines: [
+            `${trip.name} (${trip.origin} to ${trip.destination}) | ${tripDates(trip)}`,
+            describeTripSearch(trip) || null,
+            `Outbound ${describeLegWindows(trip.timeWindows.outbound)} | Return ${describeLegWindows(trip.timeWindows.return)}`,
+            connections ? `Connections: ${connections}` : null,
+            formatRunTime(now, { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric', hour: 'numeric', minute: '2-digit' }, timezone)
+        ].filter(Boolean),
+        sections: [
+            ...picks.map(({ title, flight }) => section(title, flightCard(flight, { accent, fares: true }))),
+            bestValue.length > 0 ? bestValueSection(bestValue, accent) : '',
+            pinned.length > 0 ? pinnedSection(pinned) : '',
+            analysis ? recommendationSection(analysis, accent) : '',
+            matrix ? dateMatrixSection(trip, matrix) : '',
+            section('Price Tracking', `
+            ${stats(picks.map(({ label, flight }) => ({ value: formatPrice(flight.price), label })), accent)}
+            ${note(`<strong>Alert Rules</strong><br>You will be notified when:<br>${trip.alertRules.map(rule => escapeHtml(describeRule(rule))).join('<br>')}`)}`)
+        ],
+        footer: footerLines(nextCheck, timezone)
+    });
+}
+
+// Old and new price next to each other
+function priceComparison(alert, accent) {
+    return `
+            <table role="presentation" width="100%" cellpadding="0" cellspacing="0" border="0" style="margin: 15px 0;"><tr>
+                <td width="50%" ${style('stat')}>
+                    <div ${style('oldPrice')}>${formatPrice(alert.oldPrice)}</div>
+                    <div ${style('statLabel')}>${escapeHtml(alert.referenceLabel)}</div>
+                </td>
+                <td width="50%" ${style('stat')}>
+                    <div ${style('statValue', `color: ${accent};`)}>${formatPrice(alert.newPrice)}</div>
+                    <div ${style('statLabel')}>Current Price</div>
+                </td>
+            </tr></table>`;
+}
+
+// Single price alert (drop, target price, all-time low, rise)
+function alertTemplate(message, { now, nextCheck, timezone }) {
+    const { trip, alert } = message;
+    const accent = ACCENTS.alert;
+
+    return layout({
+        accent,
+        title: ALERT_TITLES[alert.type],
+        highlight: describePriceChange(alert),
+        lines: [
+            `${trip.name} | ${tripDates(trip)}`,
+            `${alert.category.toUpperCase()} - ${formatRunTime(now, { hour: 'numeric', minute: '2-digit' }, timezone)}`
+        ],
+        sections: [
+            `${flightCard(alert.flight, { accent, fares: true })}
+            ${priceComparison(alert, accent)}`
+        ],
+        footer: footerLines(nextCheck, timezone)
+    });
+}
+
+// Every alert raised in one run, one block per alert
+function digestTemplate(message, { now, nextCheck, timezone }) {
+    const accent = ACCENTS.digest;
+    const tripNames = [...new Set(message.alerts.map(({ trip }) => trip.name))];
+
+    return layout({
+        accent,
+        title: `${message.alerts.length} Price Alerts`,
+        lines: [
+            tripNames.join(' | '),
+            formatRunTime(now, undefined, timezone)
+        ],
+        sections: message.alerts.map(({ trip, alert }) => section(
+            `${ALERT_TITLES[alert.type]}: ${describePriceChange(alert)}`,
+            `
+            <div ${style('details')}>${escapeHtml(`${trip.name} | ${tripDates(trip)} | ${alert.category}`)}</div>
+            ${priceComparison(alert, accent)}
+            ${flightCard(alert.flight, { accent, segments: false, fares: true })}`
+        )),
+        footer: footerLines(nextCheck, timezone)
+    });
+}
+
+// Pinned flight change (retime, aircraft, sell-out, last seats)
+function pinnedTemplate(message, { now, nextCheck, timezone }) {
+    const { trip, change } = message;
+    const { pin, flight, details } = change;
+    const accent = ACCENTS.pinned;
+
+    return layout({
+        accent,
+        title: CHANGE_TITLES[change.type],
+        lines: [
+            `${pin.label} | ${formatTripDate(pin.outboundDate)} - ${formatTripDate(pin.returnDate)}`,
+            `${trip.name} - ${formatRunTime(now, { hour: 'numeric', minute: '2-digit' }, timezone)}`
+        ],
+        sections: [
+            `${details.map(detail => note(escapeHtml(detail))).join('')}
+            ${flight ? flightCard(flight, { accent, title: `${flight.airline} ${flight.airlineCode} - ${formatPrice(flight.price)}`, seats: true }) : ''}`
+        ],
+        footer: footerLines(nextCheck, timezone)
+    });
+}
+
+// Health of the tracker itself (failing runs, recovery, missed summary)
+function healthTemplate(message, { nextCheck, timezone }) {
+    const { problem } = message;
+
+    return layout({
+        accent: problem.type === 'recovered' ? ACCENTS.recovered : ACCENTS.failure,
+        title: problem.subject,
+        sections: [problem.text.split('\n').map(line => `<p ${style('details')}>${escapeHtml(line)}</p>`).join('')],
+        footer: footerLines(nextCheck, timezone)
+    });
+}
+
+const TEMPLATES = {
+    summary: summaryTemplate,
+    alert: alertTemplate,
+    digest: digestTemplate,
+    pinned: pinnedTemplate,
+    health: healthTemplate
+};
+
+module.exports = { TEMPLATES };
@@ -0,0 +1,186 @@
+// Real fare conditions for shortlisted flights.
+//
+// The search response only tells us the cheapest fare for an itinerary. For the
+// finalists we ask the provider for Flight Offers Price (baggage and fare rules)
+// and Branded Fares Upsell (the other fare families on the same flights) so the
+// emails can show what a refundable or flexible ticket actually costs. When
+// either call is unavailable the trip's refundableMarkup estimate is kept.
+
+// "15 KG" / "1 piece" from an includedCheckedBags object
+function formatCheckedBags(bags) {
+    if (!bags) return null;
+    if (bags.weight !== undefined) return `${bags.weight} ${bags.weightUnit || 'KG'}`;
+    if (bags.quantity !== undefined) return `${bags.quantity} piece${bags.quantity === 1 ? '' : 's'}`;
+    return null;
+}
+
+function firstFareDetails(offer) {
+    const pricing = offer.travelerPricings && offer.travelerPricings[0];
+    return pricing && pricing.fareDetailsBySegment ? pricing.fareDetailsBySegment[0] : null;
+}
+
+// Checked baggage included in an offer's first segment
+function getCheckedBags(offer) {
+    const details = firstFareDetails(offer);
+    return details ? formatCheckedBags(details.includedCheckedBags) : null;
+}
+
+function hasFreeAmenity(details, pattern) {
+    const amenities = (details && details.amenities) || [];
+    return amenities.some(a => pattern.test(a.description) && !a.isChargeable);
+}
+
+// Change fee and refundability from the PENALTIES fare notes of a pricing response
+function parseFareRules(pricing) {
+    const rules = (pricing.included && pricing.included['detailed-fare-rules']) || {};
+    const penalties = Object.values(rules)
+        .flatMap(rule => (rule.fareNotes && rule.fareNotes.descriptions) || [])
+        .filter(d => d.descriptionType === 'PENALTIES')
+        .map(d => d.text)
+        .join('\n');
+
+    if (!penalties) return { changeFee: null, nonRefundable: null };
+
+    const feeMatch = penalties.match(/CHANGES?[\s\S]*?(?:CHARGE|FEE)\s*(?:INR|RS\.?)?\s*([\d,]+(?:\.\d+)?)/i);
+    return {
+        changeFee: feeMatch ? Math.round(parseFloat(feeMatch[1].replace(/,/g, ''))) : null,
+        nonRefundable: /NON-?REFUNDABLE|CANCELLATIONS?[\s\S]*?NOT PERMITTED/i.test(penalties)
+    };
+}
+
+// Cheapest refundable and cheapest free-change fare families from an upsell response
+function parseUpsellOffers(upsell) {
+    const offers = (upsell && upsell.data) || [];
+    let refundable = null;
+    let flexible = null;
+
+    for (const offer of offers) {
+        const details = firstFareDetails(offer);
+        const option = {
+            price: Math.round(parseFloat(offer.price.total)),
+            brand: details ? (details.brandedFareLabel || details.brandedFare || null) : null,
+            checkedBags: getCheckedBags(offer)
+        };
+
+        if (hasFreeAmenity(details, /REFUND/i) && (!refundable || option.price < refundable.price)) {
+            refundable = option;
+        }
+        if (hasFreeAmenity(details, /CHANGE/i) && (!flexible || option.price < flexible.price)) {
+            flexible = option;
+        }
+    }
+
+    return { refundable, flexible };
+}
+
+// Add up the fare options of separate tickets; null unless every ticket has one
+function combineFareOptions(options) {
+    if (options.some(option => !option)) return null;
+    const bags = [...new Set(options.map(option => option.checkedBags).filter(Boolean))];
+    return {
+        price: options.reduce((sum, option) => sum + option.price, 0),
+        brand: [...new Set(options.map(option => option.brand).filter(Boolean))].join(' / ') || null,
+        checkedBags: bags.length > 0 ? bags.join(' / ') : null
+    };
+}
+
+// Fare details of two one-way tickets (lib/separate-tickets.js): each raw offer is
+// looked up on its own and the results added up when every ticket has them.
+// A flight restored from history (e.g. a held alert) has no raw offers and keeps its stored fare.
+async function applySeparateTicketFareDetails(provider, flight) {
+    if (!flight.offers) return flight;
+
+    const tickets = [];
+    for (const [i, offer] of flight.offers.entries()) {
+        const ticket = {
+            id: `${flight.id} (${flight.tickets[i].direction})`,
+            offer,
+            refundablePrice: null,
+            fare: { refundableSource: 'estimate', checkedBags: null, changeFee: null }
+        };
+        tickets.push(await applyFareDetails(provider, ticket));
+    }
+
+    const fares = tickets.map(ticket => ticket.fare);
+    const fare = flight.fare;
+    if (fares.every(f => f.confirmedPrice !== undefined)) {
+        fare.confirmedPrice = fares.reduce((sum, f) => sum + f.confirmedPrice, 0);
+    }
+    const bags = [...new Set(fares.map(f => f.checkedBags).filter(Boolean))];
+    if (bags.length > 0) fare.checkedBags = bags.join(' / ');
+    if (fares.every(f => f.changeFee !== null && f.changeFee !== undefined)) {
+        fare.changeFee = fares.reduce((sum, f) => sum + f.changeFee, 0);
+    }
+    if (fares.some(f => f.nonRefundable)) {
+        fare.nonRefundable = true;
+    } else if (fares.every(f => f.nonRefundable === false)) {
+        fare.nonRefundable = false;
+    }
+
+    const refundable = combineFareOptions(fares.map(f => f.refundable));
+    if (refundable) {
+        fare.refundable = refundable;
+        fare.refundableSource = 'amadeus';
+        flight.refundablePrice = refundable.price;
+    }
+    const flexible = combineFareOptions(fares.map(f => f.flexible));
+    if (flexible) fare.flexible = flexible;
+
+    return flight;
+}
+
+// Look up real fare details for a parsed flight (which carries its raw `offer`, or
+// `offers` for separate tickets). Mutates flight.fare and flight.refundablePrice; never throws.
+async function applyFareDetails(provider, flight) {
+    const fare = flight.fare;
+    if (flight.separateTickets) return applySeparateTicketFareDetails(provider, flight);
+    if (!flight.offer) return flight;
+
+    if (provider.priceOffer) {
+        try {
+            const pricing = await provider.priceOffer(flight.offer);
+            const priced = pricing.data && pricing.data.flightOffers && pricing.data.flightOffers[0];
+            if (priced) {
+                fare.confirmedPrice = Math.round(parseFloat(priced.price.total));
+                fare.checkedBags = getCheckedBags(priced) || fare.checkedBags;
+            }
+            Object.assign(fare, parseFareRules(pricing));
+        } catch (error) {
+            console.error(`Error pricing offer ${flight.id}:`, error.message);
+        }
+    }
+
+    if (provider.upsellOffer) {
+        try {
+            const { refundable, flexible } = parseUpsellOffers(await provider.upsellOffer(flight.offer));
+            if (refundable) {
+                fare.refundable = refundable;
+                fare.refundableSource = 'amadeus';
+                flight.refundablePrice = refundable.price;
+            }
+            if (flexible) fare.flexible = flexible;
+        } catch (error) {
+            console.error(`Error fetching fare families for offer ${flight.id}:`, error.message);
+        }
+    }
+
+    return flight;
+}
+
+// Apply fare details once to each distinct flight in a list
+async function applyFareDetailsToFlights(provider, flights) {
+    const seen = new Set();
+    for (const flight of flights) {
+        if (!flight || seen.has(flight)) continue;
+        seen.add(flight);
+        await applyFareDetails(provider, flight);
+    }
+}
+
+module.exports = {
+    getCheckedBags,
+    parseFareRules,
+    parseUpsellOffers,
+    applyFareDetails,
+    applyFareDetailsToFlights
+};
@@ -0,0 +1,136 @@
+const { localDate } = require('./schedules');
+
+// Run status and self-monitoring.
+//
+// Every check run is recorded in history.health so a broken tracker (expired
+// credentials, quota errors, a provider outage) can be told apart from a quiet
+// day with no matching flights:
+//   health: {
+//       runs: [{ startedAt, finishedAt, status, trips: [{ id, status, flights, errors }], summarySent, error }],
+//       consecutiveFailures, lastSuccess, lastSummaryDate,
+//       failureAlertSent, missedSummaryAlertedFor: { [schedule]: slot }
+//   }
+// A trip's status is `ok` (flights found), `empty` (searches worked, nothing
+// matched), `partial` (some airport searches failed) or `failed` (every search
+// failed or the check threw). A run fails when any trip fails.
+//
+// A summary slot (see lib/schedules.js) still unsent `summaryGraceHours` after
+// its time is reported once. A run that fails before its history can be locked,
+// read or saved can't be counted, so it is reported every time (unrecordedRunProblem).
+//
+// Optional top-level `health` block in the watchlist:
+//   { "alertAfterFailures": 3, "summaryGraceHours": 2, "timezone": "Asia/Kolkata" }
+
+const HEALTH_DEFAULTS = {
+    alertAfterFailures: 3, // consecutive failed runs before a health alert
+    summaryGraceHours: 2, // how late a scheduled summary can be before it counts as missed
+    timezone: 'Asia/Kolkata' // for lastSummaryDate
+};
+
+const MAX_RUN_LOG = 50;
+
+function normalizeHealthSettings(settings = {}) {
+    const health = { ...HEALTH_DEFAULTS, ...settings };
+    if (!(Number.isInteger(health.alertAfterFailures) && health.alertAfterFailures > 0)) {
+        throw new Error('health.alertAfterFailures must be a whole number above 0');
+    }
+    return health;
+}
+
+// Status of one trip's check from its searches
+function tripStatus({ searches, failures, flights }) {
+    if (searches > 0 && failures === searches) return 'failed';
+    if (failures > 0) return 'partial';
+    return flights > 0 ? 'ok' : 'empty';
+}
+
+function runStatus(run) {
+    if (run.error || run.trips.some(trip => trip.status === 'failed')) return 'failed';
+    if (run.trips.some(trip => trip.status === 'partial')) return 'partial';
+    return run.trips.every(trip => trip.status === 'empty') ? 'empty' : 'ok';
+}
+
+// Record a finished run and return the health problems to report:
+// [{ type: 'failures' | 'recovered' | 'missedSummary', subject, text }]
+// `overdue` are the summary slots nobody has sent ({ schedule, slot } from overdueSchedules).
+function recordRun(history, run, settings, { overdue = [], now = new Date() } = {}) {
+    const health = history.health = history.health || { runs: [], consecutiveFailures: 0 };
+    run.status = runStatus(run);
+    health.runs = [...health.runs, run].slice(-MAX_RUN_LOG);
+
+    const problems = [];
+
+    if (run.status === 'failed') {
+        health.consecutiveFailures = (health.consecutiveFailures || 0) + 1;
+        if (health.consecutiveFailures >= settings.alertAfterFailures && !health.failureAlertSent) {
+            const errors = [run.error, ...run.trips.flatMap(trip => trip.errors.map(error => `${trip.id}: ${error}`))].filter(Boolean);
+            problems.push({
+                type: 'failures',
+                subject: `Flight tracker failing: ${health.consecutiveFailures} runs in a row`,
+                text: [
+                    `The last ${health.consecutiveFailures} runs failed${health.lastSuccess ? `; last successful run ${health.lastSuccess}` : ''}.`,
+                    ...[...new Set(errors)].slice(0, 10)
+                ].join('\n')
+            });
+            health.failureAlertSent = true;
+        }
+    } else {
+        if (health.failureAlertSent) {
+            problems.push({
+                type: 'recovered',
+                subject: 'Flight tracker recovered',
+                text: `Runs are working again after ${health.consecutiveFailures} failure(s).`
+            });
+        }
+        health.consecutiveFailures = 0;
+        health.failureAlertSent = false;
+        health.lastSuccess = run.finishedAt;
+    }
+
+    // Older histories kept a single date here
+    const alertedFor = typeof health.missedSummaryAlertedFor === 'object' && health.missedSummaryAlertedFor !== null
+        ? health.missedSummaryAlertedFor
+        : {};
+    // Nothing to miss before the first summary has ever gone out, or when this run sent one
+    for (const { schedule, slot } of health.lastSummaryDate && !run.summarySent ? overdue : []) {
+        if (alertedFor[schedule.name] === slot.key) continue;
+        problems.push({
+            type: 'missedSummary',
+            subject: 'Flight tracker missed a scheduled summary',
+            text: `The "${schedule.name}" summary due at ${slot.key.replace('T', ' ')} ${schedule.timezone} has not gone out; the last summary was on ${health.lastSummaryDate}. Check the run log: trips with no matching flights or failing searches send no summary.`
+        });
+        alertedFor[schedule.name] = slot.key;
+    }
+    health.missedSummaryAlertedFor = alertedFor;
+
+    if (run.summarySent) {
+        health.lastSummaryDate = localDate(settings.timezone, now);
+    }
+
+    return problems;
+}
+
+// Problem to report for a failed run that could not be recorded in the history
+function unrecordedRunProblem(run) {
+    return {
+        type: 'unrecorded',
+        subject: 'Flight tracker run failed',
+        text: `The run started ${run.startedAt} failed before it could be recorded in the price history.\n${run.error}`
+    };
+}
+
+// Next scheduled run for checks every `intervalMinutes` on the clock
+// (the workflow's hourly cron is 60: the next top of the hour)
+function nextCheckTime(intervalMinutes, now = new Date()) {
+    const interval = intervalMinutes * 60000;
+    return new Date(Math.floor(now.getTime() / interval) * interval + interval);
+}
+
+module.exports = {
+    normalizeHealthSettings,
+    tripStatus,
+    recordRun,
+    unrecordedRunProblem,
+    nextCheckTime,
+    HEALTH_DEFAULTS
+};
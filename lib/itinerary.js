@@ -0,0 +1,117 @@
+const { getAircraftName } = require('./reference');
+
+// Segment-level itinerary details and connection filters.
+//
+// Every parsed leg carries its segments and the layovers between them:
+//   segments: [{ flightNumber, carrierCode, operatingCarrierCode, aircraft,
+//                from: { airport, terminal, at }, to: { airport, terminal, at }, duration }]
+//   layovers: [{ airport, minutes, overnight, changeOfAirport }]
+// `carrierCode` is the marketing carrier (the one on the flight number) and
+// `operatingCarrierCode` the airline actually flying it. Times are the
+// airport-local strings Amadeus returns (see lib/time-windows.js).
+//
+// Trip config shape (every field optional):
+//   connections: {
+//       minMinutes: 60,            // shortest acceptable layover
+//       maxMinutes: 300,           // longest acceptable layover
+//       avoidAirports: ['BOM'],    // never connect here
+//       allowOvernight: false,     // layovers that run past local midnight
+//       allowMixedCarriers: false  // itineraries sold by more than one airline
+//   }
+
+const CONNECTION_DEFAULTS = {
+    minMinutes: null,
+    maxMinutes: null,
+    avoidAirports: [],
+    allowOvernight: true,
+    allowMixedCarriers: true
+};
+
+// Minutes between two airport-local timestamps at the same airport
+function localMinutesBetween(from, to) {
+    return Math.round((Date.parse(`${to.slice(0, 19)}Z`) - Date.parse(`${from.slice(0, 19)}Z`)) / 60000);
+}
+
+function parseSegment(segment, dictionaries = {}) {
+    const aircraftCode = segment.aircraft && segment.aircraft.code;
+    return {
+        flightNumber: `${segment.carrierCode}${segment.number}`,
+        carrierCode: segment.carrierCode,
+        operatingCarrierCode: (segment.operating && segment.operating.carrierCode) || segment.carrierCode,
+        aircraft: aircraftCode
+            ? { code: aircraftCode, name: getAircraftName(aircraftCode, dictionaries.aircraft && dictionaries.aircraft[aircraftCode]) }
+            : null,
+        from: { airport: segment.departure.iataCode, terminal: segment.departure.terminal || null, at: segment.departure.at },
+        to: { airport: segment.arrival.iataCode, terminal: segment.arrival.terminal || null, at: segment.arrival.at },
+        duration: segment.duration || null
+    };
+}
+
+// Layovers between consecutive segments of one leg
+function buildLayovers(segments) {
+    return segments.slice(1).map((next, i) => {
+        const previous = segments[i];
+        return {
+            airport: previous.to.airport,
+            minutes: localMinutesBetween(previous.to.at, next.from.at),
+            overnight: previous.to.at.slice(0, 10) !== next.from.at.slice(0, 10),
+            changeOfAirport: previous.to.airport !== next.from.airport
+        };
+    });
+}
+
+// { segments, layovers } for an Amadeus itinerary
+function parseItinerarySegments(itinerary, dictionaries) {
+    const segments = itinerary.segments.map(segment => parseSegment(segment, dictionaries));
+    return { segments, layovers: buildLayovers(segments) };
+}
+
+// Distinct marketing carriers across the given legs, in flying order
+function marketingCarriers(legs) {
+    const codes = legs.flatMap(leg => leg.segments.map(segment => segment.carrierCode));
+    return [...new Set(codes)];
+}
+
+function normalizeConnections(trip) {
+    const connections = { ...CONNECTION_DEFAULTS, ...(trip.connections || {}) };
+    for (const key of ['minMinutes', 'maxMinutes']) {
+        if (connections[key] !== null && !(typeof connections[key] === 'number' && connections[key] >= 0)) {
+            throw new Error(`Trip "${trip.id}" connections.${key} must be a number of minutes`);
+        }
+    }
+    if (connections.minMinutes !== null && connections.maxMinutes !== null && connections.minMinutes > connections.maxMinutes) {
+        throw new Error(`Trip "${trip.id}" connections.minMinutes is greater than maxMinutes`);
+    }
+    return connections;
+}
+
+// Does a leg's set of layovers satisfy the trip's connection rules?
+function matchesConnections(leg, connections) {
+    return leg.layovers.every(layover => {
+        if (connections.minMinutes !== null && layover.minutes < connections.minMinutes) return false;
+        if (connections.maxMinutes !== null && layover.minutes > connections.maxMinutes) return false;
+        if (connections.avoidAirports.includes(layover.airport)) return false;
+        if (!connections.allowOvernight && layover.overnight) return false;
+        return true;
+    });
+}
+
+// Human-readable connection rules for the summary email, or null when unrestricted
+function describeConnections(connections) {
+    const parts = [];
+    if (connections.minMinutes !== null) parts.push(`layovers of at least ${connections.minMinutes} min`);
+    if (connections.maxMinutes !== null) parts.push(`layovers of at most ${connections.maxMinutes} min`);
+    if (connections.avoidAirports.length > 0) parts.push(`no connections in ${connections.avoidAirports.join(', ')}`);
+    if (!connections.allowOvernight) parts.push('no overnight layovers');
+    if (!connections.allowMixedCarriers) parts.push('single airline only');
+    return parts.length > 0 ? parts.join(', ') : null;
+}
+
+module.exports = {
+    parseItinerarySegments,
+    marketingCarriers,
+    normalizeConnections,
+    matchesConnections,
+    describeConnections,
+    localMinutesBetween
+};
@@ -0,0 +1,188 @@
+const { ALERT_TITLES } = require('../alerts');
+const { describeCabin, describeTravelerPrices, describeTravelers } = require('../travelers');
+const { describeAirport } = require('../reference');
+
+// Plain-text rendering of notifications for chat and push channels, and the
+// plain-text part of emails.
+// Each channel passes its own `bold` and `escape` so the same content can be
+// sent as Telegram HTML, Slack mrkdwn, Discord markdown or plain text.
+
+const plain = {
+    bold: text => text,
+    escape: text => text
+};
+
+function formatPrice(price) {
+    return `Rs ${price.toLocaleString('en-IN')}`;
+}
+
+function formatStops(stops) {
+    return stops === 0 ? 'Non-stop' : `${stops} stop`;
+}
+
+// "Delhi (DEL) to Goa (GOX)"
+function describeLegRoute(leg) {
+    return `${describeAirport(leg.from)} to ${describeAirport(leg.to)}`;
+}
+
+// Cabin (other than economy) and the per-traveler fares when more than one person flies,
+// e.g. "Premium Economy | 2 x Adult Rs 5,400 + 1 x Child Rs 4,100"; empty otherwise
+function describeFlightFare(flight) {
+    const parts = [];
+    const cabins = (flight.cabins || []).filter(cabin => cabin !== 'ECONOMY');
+    if (cabins.length > 0) parts.push(flight.cabins.map(describeCabin).join(' / '));
+    const travelerPrices = flight.travelerPrices || [];
+    if (travelerPrices.reduce((sum, entry) => sum + entry.count, 0) > 1) {
+        parts.push(describeTravelerPrices(travelerPrices));
+    }
+    return parts.join(' | ');
+}
+
+// "2 separate tickets: IndiGo Rs 4,200 out, Air India Rs 4,950 back" for paired
+// one-way tickets (lib/separate-tickets.js); empty for a round-trip fare
+function describeSeparateTickets(flight) {
+    if (!flight.separateTickets) return '';
+    const [outbound, ret] = flight.tickets;
+    return `2 separate tickets: ${outbound.airline} ${formatPrice(outbound.price)} out, ${ret.airline} ${formatPrice(ret.price)} back`;
+}
+
+// Two lines per flight: airline and price, then both legs (and the fare breakdown for a
+// group, and the tickets when they are booked separately)
+function formatFlightLines(flight, markup = plain) {
+    const { bold, escape } = markup;
+    const fare = describeFlightFare(flight);
+    const tickets = describeSeparateTickets(flight);
+    return [
+        `${bold(escape(`${flight.airline} ${flight.airlineCode}`))} - ${escape(formatPrice(flight.price))}`,
+        ...(tickets ? [escape(tickets)] : []),
+        escape(`Out ${describeLegRoute(flight.outbound)}, ${flight.outbound.departure} - ${flight.outbound.arrival} (${flight.outbound.duration}, ${formatStops(flight.outbound.stops)})`),
+        escape(`Ret ${describeLegRoute(flight.return)}, ${flight.return.departure} - ${flight.return.arrival} (${flight.return.duration}, ${formatStops(flight.return.stops)})`),
+        ...(fare ? [escape(fare)] : [])
+    ];
+}
+
+// "2 adults, 1 child | Business | Non-stop only | Up to Rs 60,000" for trips that aren't one adult, any cabin
+function describeTripSearch(trip) {
+    if (!trip.travelers) return '';
+    const parts = [];
+    if (trip.travelers.total > 1) parts.push(describeTravelers(trip.travelers));
+    if (trip.cabin) parts.push(describeCabin(trip.cabin));
+    if (trip.nonStop) parts.push('Non-stop only');
+    if (trip.maxPrice) parts.push(`Up to ${formatPrice(trip.maxPrice)}`);
+    return parts.join(' | ');
+}
+
+function formatSummaryLines(message, markup) {
+    const { bold, escape } = markup;
+    const { trip, categories } = message;
+    const lines = [escape(`${trip.name} (${trip.origin} to ${trip.destination}), ${trip.outboundDate} - ${trip.returnDate}`)];
+    if (describeTripSearch(trip)) lines.push(escape(describeTripSearch(trip)));
+    lines.push('');
+
+    const picks = [
+        ['Fastest', categories.fastest],
+        ['Cheapest', categories.cheapest],
+        ['Best 1-Stop', categories.bestOneStop]
+    ];
+    for (const [label, flight] of picks) {
+        if (!flight) continue;
+        lines.push(bold(escape(label)), ...formatFlightLines(flight, markup), '');
+    }
+
+    if (message.bestValue && message.bestValue.length > 0) {
+        lines.push(bold(escape('Best value')));
+        for (const { rank, score, flight, reasons } of message.bestValue) {
+            lines.push(escape(`${rank}. ${flight.airline} ${flight.airlineCode}${flight.separateTickets ? ', separate tickets' : ''} - ${formatPrice(flight.price)} (score ${score})`));
+            lines.push(escape(`   ${reasons.join('; ')}`));
+        }
+        lines.push('');
+    }
+
+    if (message.pinned && message.pinned.length > 0) {
+        lines.push(bold(escape('Pinned flights')));
+        for (const { pin, flight } of message.pinned) {
+            const state = flight
+                ? `${formatPrice(flight.price)}${flight.seats !== null ? `, ${flight.seats} seats` : ''}`
+                : 'not offered';
+            lines.push(escape(`${pin.label} (${pin.outboundDate}): ${state}`));
+        }
+        lines.push('');
+    }
+
+    if (message.analysis) {
+        lines.push(`${bold(escape('Recommendation:'))} ${escape(message.analysis.label)}`);
+        lines.push(...message.analysis.reasons.map(reason => escape(`- ${reason}`)), '');
+    }
+
+    if (message.matrix) {
+        const best = Object.entries(message.matrix.cells)
+            .filter(([, flight]) => flight)
+            .sort(([, a], [, b]) => a.price - b.price)[0];
+        if (best) {
+            const [outboundDate, returnDate] = best[0].split('|');
+            lines.push(escape(`Cheapest dates: ${outboundDate} / ${returnDate} at ${formatPrice(best[1].price)}`));
+        }
+    }
+
+    return lines;
+}
+
+function formatAlertLines(message, markup) {
+    const { escape } = markup;
+    const { trip, alert } = message;
+    return [
+        escape(`${trip.name}: ${alert.category}`),
+        escape(`${alert.referenceLabel}: ${formatPrice(alert.oldPrice)} -> now ${formatPrice(alert.newPrice)}`),
+        '',
+        ...formatFlightLines(alert.flight, markup)
+    ];
+}
+
+// Every alert of a run, separated by blank lines
+function formatDigestLines(message, markup) {
+    const { bold, escape } = markup;
+    const lines = [];
+    for (const { trip, alert } of message.alerts) {
+        lines.push(
+            bold(escape(`${ALERT_TITLES[alert.type]}: ${trip.name} ${alert.category}`)),
+            escape(`${alert.referenceLabel}: ${formatPrice(alert.oldPrice)} -> now ${formatPrice(alert.newPrice)}`),
+            ...formatFlightLines(alert.flight, markup),
+            ''
+        );
+    }
+    return lines;
+}
+
+function formatPinnedLines(message, markup) {
+    const { escape } = markup;
+    const { trip, change } = message;
+    const lines = [escape(`${trip.name}: ${change.pin.label}, ${change.pin.outboundDate} - ${change.pin.returnDate}`), ''];
+    lines.push(...change.details.map(detail => escape(detail)));
+    if (change.flight) lines.push('', ...formatFlightLines(change.flight, markup));
+    return lines;
+}
+
+// { title, body } for a notification message
+function formatText(message, markup = plain) {
+    let lines;
+    if (message.kind === 'summary') {
+        lines = formatSummaryLines(message, markup);
+    } else if (message.kind === 'alert') {
+        lines = formatAlertLines(message, markup);
+    } else if (message.kind === 'digest') {
+        lines = formatDigestLines(message, markup);
+    } else if (message.kind === 'pinned') {
+        lines = formatPinnedLines(message, markup);
+    } else if (message.kind === 'health') {
+        lines = message.problem.text.split('\n').map(line => markup.escape(line));
+    } else {
+        lines = message.text ? [markup.escape(message.text)] : [];
+    }
+
+    return {
+        title: message.subject,
+        body: lines.join('\n').trim()
+    };
+}
+
+module.exports = { formatText, formatPrice, describeFlightFare, describeSeparateTickets, describeLegRoute, describeTripSearch };
@@ -0,0 +1,127 @@
+const { createSmtpChannel } = require('./smtp');
+const { createTelegramChannel } = require('./telegram');
+const { createNtfyChannel } = require('./ntfy');
+const { createSlackChannel, createDiscordChannel, createWebhookChannel } = require('./webhook');
+
+// Notification channels and routing.
+//
+// Configured under `notifications` in the watchlist:
+//   {
+//       "channels": {
+//           "email": { "type": "smtp" },
+//           "phone": { "type": "telegram", "botToken": "$TELEGRAM_BOT_TOKEN", "chatId": "$TELEGRAM_CHAT_ID" }
+//       },
+//       "routes": { "summary": ["email"], "alert": ["phone"], "allTimeLow": ["phone", "email"] }
+//   }
+// String values starting with "$" are read from the environment so secrets can
+// stay in GitHub Actions secrets. A message goes to the channels listed for its
+// most specific route: the alert rule or pinned-flight change type, then its kind
+// ("summary", "alert", "pinned", "health"), then "default"; with no matching route
+// it goes to every channel. A message that lists its own `channels` (a digest of
+// alerts that share a route) goes to exactly those.
+//
+// A message is { kind, subject, html, text, trip, categories?, matrix?, analysis?, bestValue?, pinned?, alert?, change? },
+// or for a digest { kind: 'digest', subject, html, text, alerts: [{ trip, alert }], channels }.
+// Each channel is { type, send(message) }; send resolves to false when the channel
+// skipped the message (e.g. email without credentials) and throws when it failed.
+
+const CHANNEL_TYPES = {
+    smtp: createSmtpChannel,
+    telegram: createTelegramChannel,
+    slack: createSlackChannel,
+    discord: createDiscordChannel,
+    ntfy: createNtfyChannel,
+    webhook: createWebhookChannel
+};
+
+// SMTP settings from the environment; EMAIL_* alone keeps the original Gmail setup working
+const SMTP_ENV_DEFAULTS = {
+    host: '$SMTP_HOST',
+    port: '$SMTP_PORT',
+    secure: '$SMTP_SECURE',
+    user: '$EMAIL_USER',
+    pass: '$EMAIL_PASSWORD',
+    from: '$EMAIL_FROM',
+    to: '$RECIPIENT_EMAIL'
+};
+
+const DEFAULT_NOTIFICATIONS = {
+    channels: { email: { type: 'smtp' } },
+    routes: {}
+};
+
+// Replace "$VAR" strings with environment values
+function resolveEnv(value) {
+    if (typeof value === 'string' && value.startsWith('$')) {
+        return process.env[value.slice(1)];
+    }
+    if (Array.isArray(value)) return value.map(resolveEnv);
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, resolveEnv(v)]));
+    }
+    return value;
+}
+
+function createChannel(name, config) {
+    const factory = CHANNEL_TYPES[config.type];
+    if (!factory) {
+        throw new Error(`Notification channel "${name}" has unknown type "${config.type}" (expected one of: ${Object.keys(CHANNEL_TYPES).join(', ')})`);
+    }
+    const options = config.type === 'smtp' ? { ...SMTP_ENV_DEFAULTS, ...config } : config;
+    return factory(resolveEnv(options));
+}
+
+function createNotifier(config = DEFAULT_NOTIFICATIONS) {
+    const channels = {};
+    for (const [name, channelConfig] of Object.entries(config.channels || {})) {
+        channels[name] = createChannel(name, channelConfig);
+    }
+
+    const routes = config.routes || {};
+    for (const [route, names] of Object.entries(routes)) {
+        const unknown = names.filter(name => !channels[name]);
+        if (unknown.length > 0) {
+            throw new Error(`Route "${route}" refers to unknown channel(s): ${unknown.join(', ')}`);
+        }
+    }
+
+    function channelsFor(message) {
+        if (message.channels) return message.channels;
+        const keys = [message.alert && message.alert.type, message.change && message.change.type, message.kind, 'default'].filter(Boolean);
+        const route = keys.find(key => routes[key]);
+        return route ? routes[route] : Object.keys(channels);
+    }
+
+    // Send to every routed channel; one failing channel doesn't stop the rest.
+    // Resolves to { delivered, results }: how many channels actually sent it, and per channel
+    // { channel, ok, skipped?, error? }. Delivered 0 with no errors means no channel takes the
+    // message (none routed, or every one skipped it) rather than a failed delivery.
+    async function send(message) {
+        const results = [];
+        for (const name of channelsFor(message)) {
+            try {
+                const sent = await channels[name].send(message);
+                results.push(sent === false ? { channel: name, ok: false, skipped: true } : { channel: name, ok: true });
+            } catch (error) {
+                console.error(`Error sending ${message.kind} via ${name}:`, error.message);
+                results.push({ channel: name, ok: false, error: error.message });
+            }
+        }
+        return { delivered: results.filter(result => result.ok).length, results };
+    }
+
+    return { send, channelsFor };
+}
+
+// Notifier that only logs what would have been sent (--dry-run / --no-notify);
+// send resolves with `silent` set so callers can tell it from a notifier with no channels
+function createSilentNotifier() {
+    async function send(message) {
+        console.log(`[not sent] ${message.kind}: ${message.subject}`);
+        return { delivered: 0, results: [], silent: true };
+    }
+
+    return { send, channelsFor: () => [] };
+}
+
+module.exports = { createNotifier, createSilentNotifier, CHANNEL_TYPES };
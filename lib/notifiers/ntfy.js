@@ -0,0 +1,43 @@
+const fetch = require('node-fetch');
+const { formatText } = require('./format');
+
+const DEFAULT_SERVER = 'https://ntfy.sh';
+
+// Header values must be Latin-1, so a title with anything else (₹, →, Devanagari)
+// is sent RFC 2047 encoded, which ntfy decodes
+function encodeHeader(value) {
+    return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+}
+
+// Push notification through ntfy.
+// options: { server, topic, token, priority }
+function createNtfyChannel(options) {
+    async function send(message) {
+        if (!options.topic) {
+            throw new Error('ntfy channel needs a topic');
+        }
+
+        const { title, body } = formatText(message);
+        const server = (options.server || DEFAULT_SERVER).replace(/\/+$/, '');
+        const headers = {
+            'Title': encodeHeader(title),
+            'Tags': message.kind === 'alert' ? 'airplane,chart_with_downwards_trend' : 'airplane',
+            'Priority': options.priority || (message.kind === 'summary' ? 'default' : 'high')
+        };
+        if (options.token) headers['Authorization'] = `Bearer ${options.token}`;
+
+        const response = await fetch(`${server}/${encodeURIComponent(options.topic)}`, {
+            method: 'POST',
+            headers,
+            body
+        });
+
+        if (!response.ok) {
+            throw new Error(`ntfy error: ${response.status}`);
+        }
+    }
+
+    return { type: 'ntfy', send };
+}
+
+module.exports = { createNtfyChannel };
@@ -0,0 +1,39 @@
+// Email over SMTP. Without a host it falls back to nodemailer's Gmail service,
+// which is what the tracker originally used.
+// options: { host, port, secure, service, user, pass, from, to }
+function createSmtpChannel(options) {
+    async function send(message) {
+        if (!options.user || !options.pass) {
+            console.log('Email not configured, skipping...');
+            return false;
+        }
+
+        const nodemailer = require('nodemailer');
+
+        const transporter = nodemailer.createTransport(options.host
+            ? {
+                host: options.host,
+                port: Number(options.port) || 587,
+                secure: String(options.secure) === 'true',
+                auth: { user: options.user, pass: options.pass }
+            }
+            : {
+                service: options.service || 'gmail',
+                auth: { user: options.user, pass: options.pass }
+            });
+
+        await transporter.sendMail({
+            from: options.from || options.user,
+            to: options.to,
+            subject: message.subject,
+            text: message.text,
+            html: message.html
+        });
+
+        console.log('Email sent successfully');
+    }
+
+    return { type: 'smtp', send };
+}
+
+module.exports = { createSmtpChannel };
@@ -0,0 +1,58 @@
+const fetch = require('node-fetch');
+const { formatText } = require('./format');
+
+const TELEGRAM_LIMIT = 4096;
+
+const telegramMarkup = {
+    bold: text => `<b>${text}</b>`,
+    escape: text => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+};
+
+// Drop whole lines from the end until the text fits. Every line is formatted on
+// its own, so cutting between lines never splits a tag or an entity.
+function fitLines(text, limit) {
+    if (text.length <= limit) return text;
+    const marker = '\n...';
+    const lines = text.split('\n');
+    let kept = '';
+    for (const line of lines) {
+        const next = kept ? `${kept}\n${line}` : line;
+        if (next.length + marker.length > limit) break;
+        kept = next;
+    }
+    return `${kept}${marker}`;
+}
+
+// Telegram bot message.
+// options: { botToken, chatId }
+function createTelegramChannel(options) {
+    async function send(message) {
+        if (!options.botToken || !options.chatId) {
+            throw new Error('Telegram channel needs botToken and chatId');
+        }
+
+        const { title, body } = formatText(message, telegramMarkup);
+        // The title is cut before it is escaped, the body only between lines
+        const heading = telegramMarkup.bold(telegramMarkup.escape(title.slice(0, 256)));
+        const text = fitLines(`${heading}\n\n${body}`, TELEGRAM_LIMIT);
+
+        const response = await fetch(`https://api.telegram.org/bot${options.botToken}/sendMessage`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                chat_id: options.chatId,
+                text,
+                parse_mode: 'HTML',
+                disable_web_page_preview: true
+            })
+        });
+
+        if (!response.ok) {
+            throw new Error(`Telegram API error: ${response.status}`);
+        }
+    }
+
+    return { type: 'telegram', send };
+}
+
+module.exports = { createTelegramChannel };
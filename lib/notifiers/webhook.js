@@ -0,0 +1,123 @@
+const fetch = require('node-fetch');
+const { formatText } = require('./format');
+
+const DISCORD_LIMIT = 2000;
+
+const slackMarkup = {
+    bold: text => `*${text}*`,
+    escape: text => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+};
+
+const discordMarkup = {
+    bold: text => `**${text}**`,
+    escape: text => String(text).replace(/([*_~`|>])/g, '\\$1')
+};
+
+async function postJson(url, payload, headers = {}) {
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(payload)
+    });
+
+    if (!response.ok) {
+        throw new Error(`Webhook error: ${response.status}`);
+    }
+}
+
+// Parsed flight without the raw Amadeus offers
+function stripOffer(flight) {
+    if (!flight) return flight;
+    const { offer, offers, ...rest } = flight;
+    return rest;
+}
+
+function alertPayload(alert) {
+    return {
+        ruleId: alert.ruleId,
+        type: alert.type,
+        category: alert.category,
+        oldPrice: alert.oldPrice,
+        newPrice: alert.newPrice,
+        flight: stripOffer(alert.flight)
+    };
+}
+
+// Slack incoming webhook.
+// options: { url }
+function createSlackChannel(options) {
+    async function send(message) {
+        if (!options.url) throw new Error('Slack channel needs a webhook url');
+        const { title, body } = formatText(message, slackMarkup);
+        await postJson(options.url, { text: `${slackMarkup.bold(slackMarkup.escape(title))}\n${body}` });
+    }
+
+    return { type: 'slack', send };
+}
+
+// Discord incoming webhook.
+// options: { url, username }
+function createDiscordChannel(options) {
+    async function send(message) {
+        if (!options.url) throw new Error('Discord channel needs a webhook url');
+        const { title, body } = formatText(message, discordMarkup);
+        await postJson(options.url, {
+            username: options.username || 'Flight Tracker',
+            content: `${discordMarkup.bold(discordMarkup.escape(title))}\n${body}`.slice(0, DISCORD_LIMIT)
+        });
+    }
+
+    return { type: 'discord', send };
+}
+
+// Generic JSON webhook carrying the structured notification.
+// options: { url, headers }
+function createWebhookChannel(options) {
+    async function send(message) {
+        if (!options.url) throw new Error('Webhook channel needs a url');
+        const { title, body } = formatText(message);
+        const { trip, alert, alerts, change, categories, bestValue } = message;
+
+        await postJson(options.url, {
+            kind: message.kind,
+            subject: title,
+            text: body,
+            sentAt: new Date().toISOString(),
+            trip: trip ? {
+                id: trip.id,
+                name: trip.name,
+                origin: trip.origin,
+                destination: trip.destination,
+                origins: trip.origins,
+                destinations: trip.destinations,
+                outboundDate: trip.outboundDate,
+                returnDate: trip.returnDate,
+                travelers: trip.travelers,
+                cabin: trip.cabin
+            } : null,
+            alert: alert ? alertPayload(alert) : null,
+            alerts: alerts ? alerts.map(entry => ({ tripId: entry.trip.id, ...alertPayload(entry.alert) })) : null,
+            change: change ? {
+                type: change.type,
+                pin: change.pin,
+                details: change.details,
+                flight: stripOffer(change.flight)
+            } : null,
+            categories: categories ? {
+                fastest: stripOffer(categories.fastest),
+                cheapest: stripOffer(categories.cheapest),
+                bestOneStop: stripOffer(categories.bestOneStop)
+            } : null,
+            bestValue: bestValue ? bestValue.map(({ rank, score, flight, reasons }) => ({
+                rank,
+                score,
+                reasons,
+                flight: stripOffer(flight)
+            })) : null
+        }, options.headers);
+    }
+
+    return { type: 'webhook', send };
+}
+
+module.exports = { createSlackChannel, createDiscordChannel, createWebhookChannel };
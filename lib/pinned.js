@@ -0,0 +1,190 @@
+// Pinned flights: specific itineraries followed run to run.
+//
+// A trip lists them under `pinnedFlights`:
+//   { outbound: '6E2134', return: '6E2135' }                    on the trip's dates
+//   { outbound: '6E2045+6E6412', outboundDate: '2025-11-15' }   any return, another date
+// Flight numbers of a connection are joined with "+". Leaving out `return`
+// (or `outbound`) matches any flight on that leg and follows the cheapest.
+// Pins on dates other than the trip's are searched separately.
+//
+// Every run reports the pinned flight's price and bookable seats, and raises a
+// change when it is retimed, its aircraft changes, it drops out of the results
+// (or comes back), or its seats fall to the trip's lowSeatsThreshold.
+//
+// State is kept per pin in tripHistory.pinned:
+//   { [pinId]: { status: 'seen' | 'missing', price, seats, legs, lastSeen, lowSeatsWarned } }
+
+const LEGS = ['outbound', 'return'];
+
+const CHANGE_TITLES = {
+    retimed: 'SCHEDULE CHANGE',
+    equipmentChanged: 'AIRCRAFT CHANGE',
+    disappeared: 'FLIGHT NO LONGER OFFERED',
+    reappeared: 'FLIGHT BACK ON SALE',
+    lowSeats: 'LAST SEATS'
+};
+
+function normalizeFlightNumbers(value) {
+    return value ? String(value).toUpperCase().replace(/[\s-]/g, '') : null;
+}
+
+// Fill in dates and ids and validate the trip's pinned flights
+function normalizePinnedFlights(trip) {
+    return (trip.pinnedFlights || []).map((pin, index) => {
+        const outbound = normalizeFlightNumbers(pin.outbound);
+        const inbound = normalizeFlightNumbers(pin.return);
+        if (!outbound && !inbound) {
+            throw new Error(`Pinned flight #${index + 1} of trip "${trip.id}" needs an outbound or return flight number`);
+        }
+
+        const outboundDate = pin.outboundDate || trip.outboundDate;
+        const returnDate = pin.returnDate || trip.returnDate;
+        return {
+            id: pin.id || `${outbound || '*'}@${outboundDate}|${inbound || '*'}@${returnDate}`,
+            label: pin.label || [outbound, inbound].filter(Boolean).join(' / '),
+            outbound,
+            return: inbound,
+            outboundDate,
+            returnDate
+        };
+    });
+}
+
+// Date pairs the pins need beyond the trip's own dates
+function extraPinnedDates(trip) {
+    const pairs = new Map();
+    for (const pin of trip.pinnedFlights) {
+        if (pin.outboundDate === trip.outboundDate && pin.returnDate === trip.returnDate) continue;
+        pairs.set(`${pin.outboundDate}|${pin.returnDate}`, { outboundDate: pin.outboundDate, returnDate: pin.returnDate });
+    }
+    return [...pairs.values()];
+}
+
+function matchesPin(flight, pin) {
+    return flight.outboundDate === pin.outboundDate
+        && flight.returnDate === pin.returnDate
+        && (!pin.outbound || flight.outbound.flightNumbers.join('+') === pin.outbound)
+        && (!pin.return || flight.return.flightNumbers.join('+') === pin.return);
+}
+
+// Times and aircraft of the pinned legs, for comparing run to run
+function legSnapshot(flight, pin) {
+    const legs = {};
+    for (const leg of LEGS) {
+        if (!pin[leg]) continue;
+        legs[leg] = flight[leg].segments.map(segment => ({
+            flightNumber: segment.flightNumber,
+            departureAt: segment.from.at,
+            arrivalAt: segment.to.at,
+            aircraft: segment.aircraft ? segment.aircraft.name || segment.aircraft.code : null,
+            aircraftCode: segment.aircraft ? segment.aircraft.code : null
+        }));
+    }
+    return legs;
+}
+
+function describeTime(at) {
+    return `${at.slice(11, 16)} on ${at.slice(0, 10)}`;
+}
+
+// Compares equipment codes, or for older snapshots without one the names
+// ignoring spelling ("AIRBUS A320" from a search vs "Airbus A320" bundled)
+function aircraftChanged(old, current) {
+    if (old.aircraftCode && current.aircraftCode) return old.aircraftCode !== current.aircraftCode;
+    const squash = name => name.toUpperCase().replace(/[^A-Z0-9]/g, '');
+    return squash(old.aircraft) !== squash(current.aircraft);
+}
+
+// Retime and aircraft changes between two leg snapshots
+function compareLegs(previous, current) {
+    const retimes = [];
+    const equipment = [];
+
+    for (const leg of Object.keys(current)) {
+        const before = previous[leg] || [];
+        current[leg].forEach((segment, i) => {
+            const old = before[i];
+            if (!old || old.flightNumber !== segment.flightNumber) return;
+            if (old.departureAt !== segment.departureAt) {
+                retimes.push(`${segment.flightNumber} now departs ${describeTime(segment.departureAt)} (was ${describeTime(old.departureAt)})`);
+            } else if (old.arrivalAt !== segment.arrivalAt) {
+                retimes.push(`${segment.flightNumber} now arrives ${describeTime(segment.arrivalAt)} (was ${describeTime(old.arrivalAt)})`);
+            }
+            if (old.aircraft && segment.aircraft && aircraftChanged(old, segment)) {
+                equipment.push(`${segment.flightNumber} now flown by ${segment.aircraft} (was ${old.aircraft})`);
+            }
+        });
+    }
+
+    return { retimes, equipment };
+}
+
+// Check every pinned flight against this run's offers.
+// `offers` are all parsed offers before the trip's filters, so a retime out of a
+// time window isn't mistaken for a sell-out; `searchedDates` lists the
+// "outboundDate|returnDate" pairs whose search returned results, so a failed
+// search isn't either.
+// Returns { statuses: [{ pin, flight, price, seats, status }], changes: [{ type, pin, flight, details }] }.
+function checkPinnedFlights({ trip, offers, searchedDates, tripHistory, now = new Date() }) {
+    tripHistory.pinned = tripHistory.pinned || {};
+    const statuses = [];
+    const changes = [];
+
+    for (const pin of trip.pinnedFlights) {
+        if (!searchedDates.includes(`${pin.outboundDate}|${pin.returnDate}`)) continue;
+
+        const state = tripHistory.pinned[pin.id] || null;
+        const flight = offers
+            .filter(offer => matchesPin(offer, pin))
+            .sort((a, b) => a.price - b.price)[0] || null;
+
+        if (!flight) {
+            statuses.push({ pin, flight: null, price: null, seats: null, status: 'missing' });
+            if (state && state.status === 'seen') {
+                changes.push({
+                    type: 'disappeared',
+                    pin,
+                    flight: null,
+                    details: [`${pin.label} is no longer in the search results (last seen ${state.lastSeen.slice(0, 16).replace('T', ' ')} UTC at Rs ${state.price.toLocaleString('en-IN')})`]
+                });
+            }
+            tripHistory.pinned[pin.id] = { ...(state || {}), status: 'missing' };
+            continue;
+        }
+
+        const legs = legSnapshot(flight, pin);
+        statuses.push({ pin, flight, price: flight.price, seats: flight.seats, status: 'seen' });
+
+        if (state && state.status === 'missing' && state.lastSeen) {
+            changes.push({ type: 'reappeared', pin, flight, details: [`${pin.label} is back in the search results at Rs ${flight.price.toLocaleString('en-IN')}`] });
+        }
+        if (state && state.legs) {
+            const { retimes, equipment } = compareLegs(state.legs, legs);
+            if (retimes.length > 0) changes.push({ type: 'retimed', pin, flight, details: retimes });
+            if (equipment.length > 0) changes.push({ type: 'equipmentChanged', pin, flight, details: equipment });
+        }
+
+        const lowSeats = typeof flight.seats === 'number' && flight.seats <= trip.lowSeatsThreshold;
+        if (lowSeats && !(state && state.lowSeatsWarned)) {
+            changes.push({ type: 'lowSeats', pin, flight, details: [`Only ${flight.seats} seat${flight.seats === 1 ? '' : 's'} left at Rs ${flight.price.toLocaleString('en-IN')}`] });
+        }
+
+        tripHistory.pinned[pin.id] = {
+            status: 'seen',
+            price: flight.price,
+            seats: flight.seats,
+            legs,
+            lastSeen: now.toISOString(),
+            lowSeatsWarned: lowSeats
+        };
+    }
+
+    return { statuses, changes };
+}
+
+module.exports = {
+    normalizePinnedFlights,
+    extraPinnedDates,
+    checkPinnedFlights,
+    CHANGE_TITLES
+};
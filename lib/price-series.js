@@ -0,0 +1,157 @@
+// Per-itinerary price time series.
+//
+// Every run records the price of each matching offer under a stable itinerary
+// key built from the flight numbers and travel dates of both legs, e.g.
+//   "6E2134@2025-11-14|6E2135@2025-11-18"
+// (with "|separate" appended for two one-way tickets)
+// so the same flights can be followed across runs even though Amadeus offer ids
+// change on every search.
+//
+// tripHistory.offers[key] = {
+//     airline, airlineCode, outbound: ['6E2134'], return: ['6E2135'],
+//     firstSeen, lastSeen,
+//     points: [['2025-10-01T09:00Z', 10850], ['2025-10-01T13:00Z', 10420], ['2025-10-02T10:00Z', null]]
+// }
+// Points are change points: a new point is only written when the price changes,
+// and a null price marks a run where the offer was no longer returned. Old points
+// are compacted to the daily low and close, and everything past the retention
+// window is dropped, to keep the committed history file small.
+
+const DEFAULT_SETTINGS = {
+    retentionDays: 45, // drop points (and offers not seen) older than this
+    compactAfterDays: 7 // keep only the daily low and last price for older days
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Minute-precision UTC timestamp, e.g. 2025-10-01T09:00Z
+function shortTimestamp(date) {
+    return `${date.toISOString().slice(0, 16)}Z`;
+}
+
+// Two one-way tickets for the same flights (lib/separate-tickets.js) get a series of their own
+function itineraryKey(flight) {
+    const key = `${flight.outbound.flightNumbers.join('+')}@${flight.outboundDate}|${flight.return.flightNumbers.join('+')}@${flight.returnDate}`;
+    return flight.separateTickets ? `${key}|separate` : key;
+}
+
+// Record one snapshot of every offer from this run
+function recordOfferSnapshots(tripHistory, flights, now = new Date()) {
+    tripHistory.offers = tripHistory.offers || {};
+    const at = shortTimestamp(now);
+
+    // Cheapest price per itinerary in this run (the same flights can come back in several fare classes)
+    const current = new Map();
+    for (const flight of flights) {
+        const key = itineraryKey(flight);
+        if (!current.has(key) || flight.price < current.get(key).price) {
+            current.set(key, flight);
+        }
+    }
+
+    for (const [key, flight] of current) {
+        let series = tripHistory.offers[key];
+        if (!series) {
+            series = tripHistory.offers[key] = {
+                airline: flight.airline,
+                airlineCode: flight.airlineCode,
+                outbound: flight.outbound.flightNumbers,
+                return: flight.return.flightNumbers,
+                firstSeen: at,
+                lastSeen: at,
+                points: []
+            };
+        }
+
+        const last = series.points[series.points.length - 1];
+        if (!last || last[1] !== flight.price) {
+            series.points.push([at, flight.price]);
+        }
+        series.lastSeen = at;
+    }
+
+    // Mark offers that dropped out of the results
+    for (const [key, series] of Object.entries(tripHistory.offers)) {
+        const last = series.points[series.points.length - 1];
+        if (!current.has(key) && last && last[1] !== null) {
+            series.points.push([at, null]);
+        }
+    }
+}
+
+// Keep the daily low and the day's final point for points older than the cutoff
+function compactPoints(points, compactBefore) {
+    const result = [];
+    let day = null;
+    let dayPoints = [];
+
+    const flush = () => {
+        if (dayPoints.length === 0) return;
+        const priced = dayPoints.filter(p => p[1] !== null);
+        const low = priced.length > 0 ? priced.reduce((min, p) => p[1] < min[1] ? p : min) : null;
+        const close = dayPoints[dayPoints.length - 1];
+        const keep = [low, close].filter(Boolean).sort((a, b) => a[0].localeCompare(b[0]));
+        for (const point of keep) {
+            const previous = result[result.length - 1];
+            if (previous !== point && (!previous || previous[1] !== point[1])) result.push(point);
+        }
+        dayPoints = [];
+    };
+
+    for (const point of points) {
+        if (point[0] >= compactBefore) {
+            flush();
+            const previous = result[result.length - 1];
+            if (!previous || previous[1] !== point[1]) result.push(point);
+            continue;
+        }
+        const pointDay = point[0].slice(0, 10);
+        if (pointDay !== day) {
+            flush();
+            day = pointDay;
+        }
+        dayPoints.push(point);
+    }
+    flush();
+
+    return result;
+}
+
+// Apply retention and compaction to a trip's offer series
+function compactOfferHistory(tripHistory, settings = {}, now = new Date()) {
+    if (!tripHistory.offers) return;
+    const { retentionDays, compactAfterDays } = { ...DEFAULT_SETTINGS, ...settings };
+    const dropBefore = shortTimestamp(new Date(now.getTime() - retentionDays * DAY_MS));
+    const compactBefore = shortTimestamp(new Date(now.getTime() - compactAfterDays * DAY_MS));
+
+    for (const [key, series] of Object.entries(tripHistory.offers)) {
+        if (series.lastSeen < dropBefore) {
+            delete tripHistory.offers[key];
+            continue;
+        }
+        series.points = compactPoints(series.points.filter(p => p[0] >= dropBefore), compactBefore);
+    }
+}
+
+// Offer series matching a flight number (e.g. "6E2134" or "6E 2134") or airline
+// code, limited to points from the last `days` days
+function findOfferSeries(tripHistory, { flightNumber = null, airline = null, days = null } = {}, now = new Date()) {
+    const wanted = flightNumber ? flightNumber.replace(/[\s-]/g, '').toUpperCase() : null;
+    const since = days ? shortTimestamp(new Date(now.getTime() - days * DAY_MS)) : null;
+
+    return Object.entries(tripHistory.offers || {})
+        .filter(([, series]) => !airline || series.airlineCode === airline)
+        .filter(([, series]) => !wanted || series.outbound.includes(wanted) || series.return.includes(wanted))
+        .map(([key, series]) => ({
+            key,
+            ...series,
+            points: since ? series.points.filter(p => p[0] >= since) : series.points
+        }));
+}
+
+module.exports = {
+    itineraryKey,
+    recordOfferSnapshots,
+    compactOfferHistory,
+    findOfferSeries
+};
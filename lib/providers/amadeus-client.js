@@ -0,0 +1,232 @@
+const fs = require('fs');
+const fetch = require('node-fetch');
+
+// Low-level Amadeus HTTP client: OAuth token reuse, request timeouts, throttling
+// and retries with backoff.
+//
+// options: {
+//     apiKey, apiSecret, baseUrl,
+//     timeoutMs: 20000,        // per request
+//     maxRetries: 3,           // for 429, 5xx, timeouts and network errors
+//     minIntervalMs: 100,      // gap between requests (the test environment allows 10/s)
+//     tokenCacheFile: null     // keep the token on disk so later processes can reuse it
+// }
+// A 429 or 503 with Retry-After waits as long as the server asks; when a response
+// reports no remaining quota (X-RateLimit-Remaining: 0) the next request waits for
+// X-RateLimit-Reset.
+
+const CLIENT_DEFAULTS = {
+    timeoutMs: 20000,
+    maxRetries: 3,
+    minIntervalMs: 100,
+    tokenCacheFile: null
+};
+
+const RETRY_BASE_MS = 1000;
+const RETRY_MAX_MS = 30000;
+const TOKEN_EXPIRY_MARGIN_MS = 60000; // refresh a minute early
+
+// Error carrying the HTTP status and whether the request is worth retrying
+function amadeusError(message, { status = null, code = null, retryable = false } = {}) {
+    return Object.assign(new Error(message), { status, code, retryable });
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Retry-After in seconds or as an HTTP date -> milliseconds to wait
+function parseRetryAfter(value, now = Date.now()) {
+    if (!value) return null;
+    if (/^\d+(\.\d+)?$/.test(value.trim())) return Math.round(parseFloat(value) * 1000);
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(date - now, 0);
+}
+
+// X-RateLimit-Reset as epoch seconds or seconds from now -> milliseconds to wait
+function parseRateLimitReset(value, now = Date.now()) {
+    if (!value || !/^\d+$/.test(value.trim())) return null;
+    const seconds = parseInt(value, 10);
+    return seconds > 1e9 ? Math.max(seconds * 1000 - now, 0) : seconds * 1000;
+}
+
+function backoffDelay(attempt) {
+    const exponential = Math.min(RETRY_BASE_MS * 2 ** attempt, RETRY_MAX_MS);
+    return Math.round(exponential / 2 + Math.random() * exponential / 2);
+}
+
+// First error detail from an Amadeus error body, e.g. "[477] INVALID FORMAT: departureDate"
+function describeErrorBody(body) {
+    const error = body && Array.isArray(body.errors) && body.errors[0];
+    if (error) {
+        return `[${error.code}] ${error.title}${error.detail ? `: ${error.detail}` : ''}`;
+    }
+    return (body && (body.error_description || body.error)) || null;
+}
+
+function createAmadeusClient(options) {
+    const given = Object.entries(options).filter(([, value]) => value !== undefined && value !== null);
+    const settings = { ...CLIENT_DEFAULTS, ...Object.fromEntries(given) };
+    let token = null; // { value, expiresAt }
+    let nextRequestAt = 0;
+
+    function readCachedToken() {
+        if (!settings.tokenCacheFile || !fs.existsSync(settings.tokenCacheFile)) return null;
+        try {
+            const cached = JSON.parse(fs.readFileSync(settings.tokenCacheFile, 'utf8'));
+            return cached.baseUrl === settings.baseUrl && cached.apiKey === settings.apiKey ? cached.token : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    function writeCachedToken() {
+        if (!settings.tokenCacheFile) return;
+        fs.writeFileSync(settings.tokenCacheFile, JSON.stringify({ baseUrl: settings.baseUrl, apiKey: settings.apiKey, token }), { mode: 0o600 });
+    }
+
+    function tokenValid(candidate) {
+        return Boolean(candidate) && candidate.expiresAt - TOKEN_EXPIRY_MARGIN_MS > Date.now();
+    }
+
+    // Wait for the request slot: the minimum interval and any rate-limit pause
+    async function throttle() {
+        const wait = nextRequestAt - Date.now();
+        if (wait > 0) await sleep(wait);
+        nextRequestAt = Date.now() + settings.minIntervalMs;
+    }
+
+    function noteRateLimit(response) {
+        const remaining = response.headers.get('x-ratelimit-remaining');
+        if (remaining !== null && parseInt(remaining, 10) <= 0) {
+            const reset = parseRateLimitReset(response.headers.get('x-ratelimit-reset'));
+            if (reset !== null) nextRequestAt = Math.max(nextRequestAt, Date.now() + reset);
+        }
+    }
+
+    // One HTTP attempt with a timeout; resolves to { status, headers, body }
+    async function send(url, init) {
+        await throttle();
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), settings.timeoutMs);
+        try {
+            const response = await fetch(url, { ...init, signal: controller.signal });
+            noteRateLimit(response);
+            const text = await response.text();
+            let body = null;
+            try {
+                body = text ? JSON.parse(text) : null;
+            } catch (error) {
+                body = { error: text.slice(0, 200) };
+            }
+            return { status: response.status, headers: response.headers, body };
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw amadeusError(`Request timed out after ${settings.timeoutMs} ms`, { code: 'TIMEOUT', retryable: true });
+            }
+            throw amadeusError(`Network error: ${error.message}`, { code: 'NETWORK', retryable: true });
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    // Retry 429, 5xx, timeouts and network errors with backoff; everything else fails at once
+    async function sendWithRetries(url, init, label) {
+        for (let attempt = 0; ; attempt++) {
+            let result;
+            let wait;
+            try {
+                result = await send(url, init);
+            } catch (error) {
+                if (!error.retryable || attempt >= settings.maxRetries) throw error;
+                wait = backoffDelay(attempt);
+                console.log(`${label}: ${error.message}; retrying in ${Math.round(wait / 1000)}s`);
+                await sleep(wait);
+                continue;
+            }
+
+            const retryable = result.status === 429 || result.status >= 500;
+            if (!retryable || attempt >= settings.maxRetries) return result;
+
+            wait = parseRetryAfter(result.headers.get('retry-after'));
+            wait = wait === null ? backoffDelay(attempt) : Math.min(wait, RETRY_MAX_MS * 4);
+            console.log(`${label}: HTTP ${result.status}; retrying in ${Math.round(wait / 1000)}s`);
+            await sleep(wait);
+        }
+    }
+
+    async function fetchToken() {
+        const form = new URLSearchParams({
+            grant_type: 'client_credentials',
+            client_id: settings.apiKey || '',
+            client_secret: settings.apiSecret || ''
+        });
+        const result = await sendWithRetries(`${settings.baseUrl}/v1/security/oauth2/token`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+            body: form.toString()
+        }, 'Amadeus token');
+
+        if (result.status !== 200 || !result.body || !result.body.access_token) {
+            throw amadeusError(`Amadeus authentication failed: ${describeErrorBody(result.body) || `HTTP ${result.status}`}`, { status: result.status, code: 'AUTH' });
+        }
+        return {
+            value: result.body.access_token,
+            expiresAt: Date.now() + (result.body.expires_in || 1799) * 1000
+        };
+    }
+
+    // Current token, fetched only when missing or about to expire
+    async function getToken({ refresh = false } = {}) {
+        if (!refresh && tokenValid(token)) return token.value;
+
+        const cached = refresh ? null : readCachedToken();
+        if (tokenValid(cached)) {
+            token = cached;
+            return token.value;
+        }
+
+        console.log('Getting Amadeus access token...');
+        token = await fetchToken();
+        writeCachedToken();
+        console.log('Token received');
+        return token.value;
+    }
+
+    // Authenticated request; resolves to the parsed JSON body or throws an error with { status, code, retryable }.
+    // A 401 refreshes the token once, in case it was revoked before its expiry.
+    async function request(method, path, { query = null, body = null, headers = {} } = {}) {
+        const url = new URL(`${settings.baseUrl}${path}`);
+        if (query) {
+            for (const [key, value] of Object.entries(query)) {
+                if (value !== undefined && value !== null) url.searchParams.append(key, String(value));
+            }
+        }
+
+        for (let refreshed = false; ; refreshed = true) {
+            const init = {
+                method,
+                headers: {
+                    'Authorization': `Bearer ${await getToken({ refresh: refreshed })}`,
+                    ...(body ? { 'Content-Type': 'application/json' } : {}),
+                    ...headers
+                },
+                body: body ? JSON.stringify(body) : undefined
+            };
+            const result = await sendWithRetries(url.toString(), init, `Amadeus ${method} ${path}`);
+
+            if (result.status === 401 && !refreshed) continue;
+            if (result.status >= 200 && result.status < 300) return result.body;
+
+            throw amadeusError(`Amadeus API error: ${result.status}${describeErrorBody(result.body) ? ` ${describeErrorBody(result.body)}` : ''}`, {
+                status: result.status,
+                code: result.status === 429 ? 'RATE_LIMIT' : null,
+                retryable: result.status === 429 || result.status >= 500
+            });
+        }
+    }
+
+    return { request, getToken };
+}
+
+module.exports = { createAmadeusClient, parseRetryAfter };
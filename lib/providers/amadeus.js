@@ -0,0 +1,200 @@
+const { createAmadeusClient } = require('./amadeus-client');
+const { fixtureFileName, offerFixtureName, recordFixture } = require('./replay');
+
+const AMADEUS_HOSTS = {
+    test: 'https://test.api.amadeus.com',
+    production: 'https://api.amadeus.com'
+};
+
+const DEFAULT_BASE_URL = AMADEUS_HOSTS.test;
+
+// Amadeus returns at most this many offers per search
+const MAX_OFFERS_PER_REQUEST = 250;
+
+// Amadeus Self-Service flight provider.
+// options: { apiKey, apiSecret, environment, baseUrl, recordDir, maxOffers,
+//            timeoutMs, maxRetries, minIntervalMs, tokenCacheFile }
+// `environment` picks the test or production host; `baseUrl` overrides both
+// (e.g. a local mock). `maxOffers` (default 50) is requested per search; when a
+// search comes back full it is repeated once per airline in the results and the
+// answers merged, so busy routes aren't cut off at the cap.
+// When recordDir is set every response is also written there in the layout
+// the replay provider reads.
+function createAmadeusProvider(options = {}) {
+    const environment = options.environment || 'test';
+    if (!AMADEUS_HOSTS[environment]) {
+        throw new Error(`Unknown Amadeus environment "${environment}" (expected one of: ${Object.keys(AMADEUS_HOSTS).join(', ')})`);
+    }
+    const baseUrl = (options.baseUrl || AMADEUS_HOSTS[environment]).replace(/\/+$/, '');
+    const maxOffers = Math.min(options.maxOffers || 50, MAX_OFFERS_PER_REQUEST);
+
+    const client = createAmadeusClient({
+        apiKey: options.apiKey,
+        apiSecret: options.apiSecret,
+        baseUrl,
+        timeoutMs: options.timeoutMs,
+        maxRetries: options.maxRetries,
+        minIntervalMs: options.minIntervalMs,
+        tokenCacheFile: options.tokenCacheFile
+    });
+
+    // POST a flight offer to one of the offer-level endpoints (pricing, upselling)
+    function postOffer(endpoint, type, offer) {
+        return client.request('POST', endpoint, {
+            headers: { 'X-HTTP-Method-Override': 'GET' },
+            body: { data: { type, flightOffers: [offer] } }
+        });
+    }
+
+    // Travelers for a POST search; each infant sits on one of the adults' laps
+    function buildTravelers(query) {
+        const travelers = [];
+        const add = (count, travelerType, extra = () => ({})) => {
+            for (let i = 0; i < (count || 0); i++) {
+                travelers.push({ id: String(travelers.length + 1), travelerType, ...extra(i) });
+            }
+        };
+        add(query.adults, 'ADULT');
+        add(query.children, 'CHILD');
+        add(query.infants, 'HELD_INFANT', i => ({ associatedAdultId: String(i + 1) }));
+        return travelers;
+    }
+
+    // Cabin, non-stop and airline restrictions for a POST search
+    function buildFlightFilters(query, airlines) {
+        const filters = {};
+        if (query.cabin) {
+            filters.cabinRestrictions = [{ cabin: query.cabin, coverage: 'MOST_SEGMENTS', originDestinationIds: ['1', '2'] }];
+        }
+        if (query.nonStop) filters.connectionRestriction = { maxNumberOfConnections: 0 };
+        if (airlines) filters.carrierRestrictions = { includedCarrierCodes: airlines };
+        return filters;
+    }
+
+    // One search, optionally limited to some airlines. Round trips and one-way
+    // searches use the GET endpoint; open-jaw trips describe both legs in a POST.
+    function searchOnce(query, airlines = null) {
+        if (!query.returnOrigin) {
+            return client.request('GET', '/v2/shopping/flight-offers', {
+                query: {
+                    originLocationCode: query.origin,
+                    destinationLocationCode: query.destination,
+                    departureDate: query.outboundDate,
+                    returnDate: query.returnDate,
+                    adults: query.adults,
+                    children: query.children || null,
+                    infants: query.infants || null,
+                    travelClass: query.cabin || null,
+                    nonStop: query.nonStop ? true : null,
+                    maxPrice: query.maxPrice || null,
+                    includedAirlineCodes: airlines ? airlines.join(',') : null,
+                    currencyCode: 'INR',
+                    max: maxOffers
+                }
+            });
+        }
+
+        return client.request('POST', '/v2/shopping/flight-offers', {
+            headers: { 'X-HTTP-Method-Override': 'GET' },
+            body: {
+                currencyCode: 'INR',
+                originDestinations: [
+                    { id: '1', originLocationCode: query.origin, destinationLocationCode: query.destination, departureDateTimeRange: { date: query.outboundDate } },
+                    { id: '2', originLocationCode: query.returnOrigin, destinationLocationCode: query.returnDestination, departureDateTimeRange: { date: query.returnDate } }
+                ],
+                travelers: buildTravelers(query),
+                sources: ['GDS'],
+                searchCriteria: {
+                    maxFlightOffers: maxOffers,
+                    ...(query.maxPrice ? { maxPrice: query.maxPrice } : {}),
+                    flightFilters: buildFlightFilters(query, airlines)
+                }
+            }
+        });
+    }
+
+    // Flight numbers and price identify an offer across split searches
+    function offerSignature(offer) {
+        const flights = offer.itineraries.map(it => it.segments.map(s => `${s.carrierCode}${s.number}@${s.departure.at}`).join('+'));
+        return `${flights.join('|')}#${offer.price.total}`;
+    }
+
+    // Merge several search responses, dropping duplicates and renumbering offer ids
+    function mergeResponses(responses) {
+        const seen = new Set();
+        const offers = [];
+        const dictionaries = {};
+
+        for (const response of responses) {
+            for (const offer of response.data || []) {
+                const signature = offerSignature(offer);
+                if (seen.has(signature)) continue;
+                seen.add(signature);
+                offers.push({ ...offer, id: String(offers.length + 1) });
+            }
+            for (const [name, entries] of Object.entries(response.dictionaries || {})) {
+                dictionaries[name] = { ...(dictionaries[name] || {}), ...entries };
+            }
+        }
+
+        return { meta: { count: offers.length }, data: offers, dictionaries };
+    }
+
+    // Search flight offers, returning the raw Amadeus response
+    async function searchOffers(query) {
+        let data = await searchOnce(query);
+
+        const offers = data.data || [];
+        if (offers.length >= maxOffers) {
+            const airlines = [...new Set(offers.flatMap(offer => offer.validatingAirlineCodes || []))];
+            console.log(`Search hit the ${maxOffers}-offer cap; repeating it for each of ${airlines.length} airline(s)`);
+            const responses = [data];
+            for (const airline of airlines) {
+                responses.push(await searchOnce(query, [airline]));
+            }
+            data = mergeResponses(responses);
+        }
+
+        if (options.recordDir) recordFixture(options.recordDir, 'search', fixtureFileName(query), data);
+        return data;
+    }
+
+    // Flight Offers Price: confirmed price, checked bags and detailed fare rules
+    async function priceOffer(offer) {
+        const data = await postOffer(
+            '/v1/shopping/flight-offers/pricing?include=detailed-fare-rules,bags',
+            'flight-offers-pricing',
+            offer
+        );
+        if (options.recordDir) recordFixture(options.recordDir, 'pricing', offerFixtureName(offer), data);
+        return data;
+    }
+
+    // Branded Fares Upsell: the same itinerary in every fare family the airline sells
+    async function upsellOffer(offer) {
+        const data = await postOffer('/v1/shopping/flight-offers/upselling', 'flight-offers-upselling', offer);
+        if (options.recordDir) recordFixture(options.recordDir, 'upselling', offerFixtureName(offer), data);
+        return data;
+    }
+
+    // Airline Code Lookup: names for a list of IATA airline codes
+    function lookupAirlines(codes) {
+        return client.request('GET', '/v1/reference-data/airlines', { query: { airlineCodes: codes.join(',') } });
+    }
+
+    // Airport & City Search: airports matching an IATA code, with their city and country
+    function lookupAirport(code) {
+        return client.request('GET', '/v1/reference-data/locations', { query: { subType: 'AIRPORT', keyword: code } });
+    }
+
+    return {
+        name: 'amadeus',
+        searchOffers,
+        priceOffer,
+        upsellOffer,
+        lookupAirlines,
+        lookupAirport
+    };
+}
+
+module.exports = { createAmadeusProvider, DEFAULT_BASE_URL, AMADEUS_HOSTS };
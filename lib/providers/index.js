@@ -0,0 +1,33 @@
+const { createAmadeusProvider } = require('./amadeus');
+const { createReplayProvider } = require('./replay');
+
+// A flight provider is an object with:
+//   name                       - short identifier used in logs
+//   searchOffers(query)        - resolves to an Amadeus-format flight-offers
+//                                response ({ data: [...offers] })
+//   priceOffer(offer)          - optional; Flight Offers Price response for one
+//                                raw offer ({ data: { flightOffers }, included })
+//   upsellOffer(offer)         - optional; Branded Fares Upsell response for one
+//                                raw offer ({ data: [...offers] })
+//   lookupAirlines(codes)      - optional; Airline Code Lookup response for IATA
+//                                airline codes ({ data: [...airlines] })
+//   lookupAirport(code)        - optional; Airport & City Search response for an
+//                                IATA airport code ({ data: [...locations] })
+// query: { origin, destination, outboundDate, returnDate, adults, children, infants,
+// cabin, nonStop, maxPrice } plus, for an open-jaw trip, { returnOrigin,
+// returnDestination } of the return leg. A one-way search has no returnDate. `cabin` is an Amadeus travel class or
+// null for any; `maxPrice` caps each traveler's fare.
+const PROVIDERS = {
+    amadeus: createAmadeusProvider,
+    replay: createReplayProvider
+};
+
+function createProvider(name, options = {}) {
+    const factory = PROVIDERS[name];
+    if (!factory) {
+        throw new Error(`Unknown flight provider "${name}" (expected one of: ${Object.keys(PROVIDERS).join(', ')})`);
+    }
+    return factory(options);
+}
+
+module.exports = { createProvider, PROVIDERS };
@@ -0,0 +1,85 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_REPLAY_DIR = path.join(__dirname, '..', '..', 'fixtures');
+
+// Sub-directory of the fixtures root for each recorded endpoint
+const FIXTURE_DIRS = {
+    search: 'flight-offers',
+    pricing: 'flight-offers-pricing',
+    upselling: 'flight-offers-upselling'
+};
+
+// Fixture file for a query, e.g. DEL-GOI-2025-11-14-2025-11-18.json, or
+// DEL-GOX-2025-11-14-GOI-DEL-2025-11-18.json for an open jaw
+function fixtureFileName(query) {
+    const parts = [query.origin, query.destination, query.outboundDate];
+    const openJaw = query.returnOrigin && (query.returnOrigin !== query.destination || query.returnDestination !== query.origin);
+    if (openJaw) parts.push(query.returnOrigin, query.returnDestination);
+    if (query.returnDate) parts.push(query.returnDate);
+    return `${parts.join('-')}.json`;
+}
+
+// Fixture file for a single offer, e.g. DEL-GOI-2025-11-14-2025-11-18-3.json
+function offerFixtureName(offer) {
+    const [outbound, inbound] = offer.itineraries;
+    const query = {
+        origin: outbound.segments[0].departure.iataCode,
+        destination: outbound.segments[outbound.segments.length - 1].arrival.iataCode,
+        outboundDate: outbound.segments[0].departure.at.slice(0, 10),
+        returnDate: inbound ? inbound.segments[0].departure.at.slice(0, 10) : null,
+        returnOrigin: inbound ? inbound.segments[0].departure.iataCode : null,
+        returnDestination: inbound ? inbound.segments[inbound.segments.length - 1].arrival.iataCode : null
+    };
+    return fixtureFileName(query).replace(/\.json$/, `-${offer.id}.json`);
+}
+
+// Write a response where the replay provider will look for it
+function recordFixture(root, kind, fileName, data) {
+    const dir = path.join(root, FIXTURE_DIRS[kind]);
+    fs.mkdirSync(dir, { recursive: true });
+    const file = path.join(dir, fileName);
+    fs.writeFileSync(file, JSON.stringify(data, null, 2));
+    console.log(`Recorded response to ${file}`);
+}
+
+// Offline provider that serves recorded Amadeus responses from disk.
+// options: { dir } - fixtures root holding one sub-directory per endpoint
+function createReplayProvider(options = {}) {
+    const root = options.dir || DEFAULT_REPLAY_DIR;
+
+    function readFixture(kind, fileName) {
+        const file = path.join(root, FIXTURE_DIRS[kind], fileName);
+        if (!fs.existsSync(file)) {
+            throw new Error(`No replay fixture ${FIXTURE_DIRS[kind]}/${fileName} in ${root}`);
+        }
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    }
+
+    async function searchOffers(query) {
+        return readFixture('search', fixtureFileName(query));
+    }
+
+    async function priceOffer(offer) {
+        return readFixture('pricing', offerFixtureName(offer));
+    }
+
+    async function upsellOffer(offer) {
+        return readFixture('upselling', offerFixtureName(offer));
+    }
+
+    return {
+        name: 'replay',
+        searchOffers,
+        priceOffer,
+        upsellOffer
+    };
+}
+
+module.exports = {
+    createReplayProvider,
+    fixtureFileName,
+    offerFixtureName,
+    recordFixture,
+    DEFAULT_REPLAY_DIR
+};
@@ -0,0 +1,193 @@
+const fs = require('fs');
+const { writeFileAtomic } = require('../storage/json');
+
+// Airline, airport and aircraft names.
+//
+// Names come from, in order:
+//   1. the provider's reference endpoints (Amadeus Airline Code Lookup and
+//      Airport & City Search), cached on disk in `cacheFile` and fetched again
+//      once an entry is older than `maxAgeDays`
+//   2. the bundled datasets in data/, used when a code hasn't been fetched or
+//      the provider has no reference endpoints (e.g. replay)
+//   3. the names in a search response's dictionaries, for anything else
+// and the raw code otherwise. Amadeus spells names in capitals, so a fetched
+// name that matches the bundled one keeps the bundled spelling ("IndiGo").
+// Aircraft have no reference endpoint and are bundled or dictionary names only.
+
+const BUNDLED = {
+    airlines: require('./data/airlines.json'),
+    airports: require('./data/airports.json'),
+    aircraft: require('./data/aircraft.json')
+};
+
+const CACHE_VERSION = 1;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const WORD_FIXES = { INTL: 'International', ARPT: 'Airport' };
+
+const state = {
+    file: null,
+    maxAgeMs: 30 * DAY_MS,
+    cache: emptyCache(),
+    failed: false // stop asking for the rest of the run once a lookup fails
+};
+
+function emptyCache() {
+    return { version: CACHE_VERSION, airlines: {}, airports: {} };
+}
+
+function readCache(file) {
+    if (!file || !fs.existsSync(file)) return emptyCache();
+    try {
+        const cache = JSON.parse(fs.readFileSync(file, 'utf8'));
+        if (cache.version !== CACHE_VERSION) return emptyCache();
+        return cache;
+    } catch (error) {
+        // Only a cache: start again rather than stop the run
+        console.error(`Ignoring unreadable reference data cache ${file}:`, error.message);
+        return emptyCache();
+    }
+}
+
+function saveCache() {
+    if (!state.file) return;
+    try {
+        writeFileAtomic(state.file, JSON.stringify(state.cache, null, 2));
+    } catch (error) {
+        console.error('Error saving reference data cache:', error.message);
+    }
+}
+
+// Load the disk cache; without a cacheFile fetched names only last for the process
+function configureReferenceData({ cacheFile = null, maxAgeDays = 30 } = {}) {
+    state.file = cacheFile;
+    state.maxAgeMs = maxAgeDays * DAY_MS;
+    state.cache = readCache(cacheFile);
+    state.failed = false;
+}
+
+// "AIR INDIA EXPRESS" -> "Air India Express"
+function titleCase(value) {
+    return value
+        .toLowerCase()
+        .split(/(\s+|-)/)
+        .map(word => WORD_FIXES[word.toUpperCase()] || word.charAt(0).toUpperCase() + word.slice(1))
+        .join('');
+}
+
+function squash(value) {
+    return value.toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+function displayName(fetched, bundled) {
+    if (!fetched) return bundled || null;
+    if (bundled && squash(bundled) === squash(fetched)) return bundled;
+    return titleCase(fetched);
+}
+
+// Airline name for an IATA code; `dictionaryName` is the search response's name for it, if any
+function getAirlineName(code, dictionaryName = null) {
+    const cached = state.cache.airlines[code];
+    if (cached && cached.name) return displayName(cached.name, BUNDLED.airlines[code]);
+    if (BUNDLED.airlines[code]) return BUNDLED.airlines[code];
+    return dictionaryName ? titleCase(dictionaryName) : code;
+}
+
+// { code, name, city, country } for an IATA airport code, or null when unknown
+function getAirport(code) {
+    const cached = state.cache.airports[code];
+    const bundled = BUNDLED.airports[code] || null;
+    if (cached && cached.name) {
+        return {
+            code,
+            name: displayName(cached.name, bundled && bundled.name),
+            city: displayName(cached.city, bundled && bundled.city),
+            country: cached.country || (bundled && bundled.country) || null
+        };
+    }
+    return bundled ? { code, ...bundled } : null;
+}
+
+// "Goa (GOI)", or just the code for an unknown airport
+function describeAirport(code) {
+    const airport = getAirport(code);
+    return airport && airport.city ? `${airport.city} (${code})` : code;
+}
+
+// Aircraft type for an IATA equipment code; `dictionaryName` as for getAirlineName
+function getAircraftName(code, dictionaryName = null) {
+    if (BUNDLED.aircraft[code]) return BUNDLED.aircraft[code];
+    return dictionaryName ? titleCase(dictionaryName) : null;
+}
+
+// Airline and airport codes that appear in a search response
+function responseCodes(response) {
+    const airlines = new Set();
+    const airports = new Set();
+    for (const offer of (response && response.data) || []) {
+        for (const segment of offer.itineraries.flatMap(itinerary => itinerary.segments)) {
+            airlines.add(segment.carrierCode);
+            if (segment.operating && segment.operating.carrierCode) airlines.add(segment.operating.carrierCode);
+            airports.add(segment.departure.iataCode);
+            airports.add(segment.arrival.iataCode);
+        }
+    }
+    return { airlines: [...airlines], airports: [...airports] };
+}
+
+function needsFetch(kind, code) {
+    const entry = state.cache[kind][code];
+    return !entry || Date.now() - Date.parse(entry.fetchedAt) > state.maxAgeMs;
+}
+
+// Fetch names for the codes in a search response that aren't cached or have gone
+// stale, through the provider's optional lookupAirlines(codes) and lookupAirport(code),
+// and save the cache. Codes the provider doesn't know are cached too, so they
+// aren't asked for every run. A failed lookup is logged and the bundled names used.
+async function refreshReferenceData(provider, response) {
+    if (state.failed) return;
+
+    const codes = responseCodes(response);
+    const airlines = provider.lookupAirlines ? codes.airlines.filter(code => needsFetch('airlines', code)) : [];
+    const airports = provider.lookupAirport ? codes.airports.filter(code => needsFetch('airports', code)) : [];
+    if (airlines.length === 0 && airports.length === 0) return;
+
+    const fetchedAt = new Date().toISOString();
+    try {
+        if (airlines.length > 0) {
+            const { data = [] } = await provider.lookupAirlines(airlines);
+            for (const code of airlines) {
+                const airline = data.find(entry => entry.iataCode === code);
+                state.cache.airlines[code] = {
+                    name: airline ? airline.commonName || airline.businessName || null : null,
+                    fetchedAt
+                };
+            }
+        }
+        for (const code of airports) {
+            const { data = [] } = await provider.lookupAirport(code);
+            const airport = data.find(entry => entry.iataCode === code && entry.subType === 'AIRPORT');
+            const address = (airport && airport.address) || {};
+            state.cache.airports[code] = {
+                name: airport ? airport.name : null,
+                city: address.cityName || null,
+                country: address.countryCode || null,
+                fetchedAt
+            };
+        }
+    } catch (error) {
+        state.failed = true;
+        console.error('Could not refresh airline and airport names:', error.message);
+    }
+
+    saveCache();
+}
+
+module.exports = {
+    configureReferenceData,
+    refreshReferenceData,
+    getAirlineName,
+    getAirport,
+    describeAirport,
+    getAircraftName
+};
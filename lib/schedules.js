@@ -0,0 +1,168 @@
+// When the daily summary goes out, and to whom.
+//
+// Configured under `notifications.schedules` in the watchlist, one entry per
+// recipient or group of recipients:
+//   "schedules": {
+//       "morning": { "channels": ["email"], "days": "daily", "time": "10:00", "timezone": "Asia/Kolkata" },
+//       "weekend": { "channels": ["phone"], "days": ["sat"], "time": "09:00", "timezone": "Europe/London" }
+//   }
+//   channels      channel names (see lib/notifiers); the summary route when unset
+//   days          "daily", "weekdays", "weekends" or a list such as ["mon", "thu"]
+//   time          local time of the slot, "HH:MM"
+//   timezone      IANA timezone of `time` and `days` (default Asia/Kolkata)
+//   catchUpHours  how late a missed slot is still sent (default 24)
+// Without schedules the summary goes out daily at 10:00 Asia/Kolkata.
+//
+// Each trip records the last slot it sent per schedule (tripHistory.summaries),
+// so a slot is sent by the first run at or after its time - a late or skipped
+// cron run is caught up by the next one - and never twice.
+
+const DEFAULT_TIMEZONE = 'Asia/Kolkata';
+const HOUR_MS = 60 * 60 * 1000;
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const DAY_SETS = {
+    daily: WEEKDAYS,
+    weekdays: ['mon', 'tue', 'wed', 'thu', 'fri'],
+    weekends: ['sat', 'sun']
+};
+
+const SCHEDULE_DEFAULTS = {
+    channels: null,
+    days: 'daily',
+    time: '10:00',
+    timezone: DEFAULT_TIMEZONE,
+    catchUpHours: 24
+};
+
+const DEFAULT_SCHEDULES = { daily: {} };
+
+const TIME = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+// Calendar fields of an instant in a timezone
+function zonedParts(timezone, date) {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-CA', {
+        timeZone: timezone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+    }).formatToParts(date).map(part => [part.type, part.value]));
+    return {
+        date: `${parts.year}-${parts.month}-${parts.day}`,
+        hour: parseInt(parts.hour, 10),
+        minute: parseInt(parts.minute, 10)
+    };
+}
+
+// 'YYYY-MM-DD' in a timezone
+function localDate(timezone, now = new Date()) {
+    return zonedParts(timezone, now).date;
+}
+
+// The instant a local date and time happen in a timezone
+function zonedTime(dateString, time, timezone) {
+    const guess = Date.parse(`${dateString}T${time}:00Z`);
+    const offsetAt = instant => {
+        const parts = zonedParts(timezone, new Date(instant));
+        return Date.parse(`${parts.date}T${String(parts.hour).padStart(2, '0')}:${String(parts.minute).padStart(2, '0')}:00Z`) - instant;
+    };
+    // Second pass for a DST change between the guess and the answer
+    const first = guess - offsetAt(guess);
+    return new Date(guess - offsetAt(first));
+}
+
+function shiftDate(dateString, days) {
+    const date = new Date(`${dateString}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().split('T')[0];
+}
+
+function normalizeDays(days, name) {
+    const list = typeof days === 'string' ? DAY_SETS[days] : days;
+    const valid = Array.isArray(list) && list.length > 0 && list.every(day => WEEKDAYS.includes(String(day).toLowerCase()));
+    if (!valid) {
+        throw new Error(`Summary schedule "${name}" has invalid days ${JSON.stringify(days)} (expected daily, weekdays, weekends or a list of ${WEEKDAYS.join(', ')})`);
+    }
+    return list.map(day => String(day).toLowerCase());
+}
+
+// Fill in defaults and check every schedule; `channelNames` are the configured channels
+function normalizeSchedules(config = DEFAULT_SCHEDULES, channelNames = []) {
+    return Object.entries(config).map(([name, settings]) => {
+        const schedule = { ...SCHEDULE_DEFAULTS, ...settings, name };
+
+        if (!TIME.test(schedule.time)) {
+            throw new Error(`Summary schedule "${name}" has invalid time "${schedule.time}" (expected HH:MM)`);
+        }
+        try {
+            zonedParts(schedule.timezone, new Date());
+        } catch (error) {
+            throw new Error(`Summary schedule "${name}" has unknown timezone "${schedule.timezone}"`);
+        }
+        if (schedule.channels !== null) {
+            const unknown = [].concat(schedule.channels).filter(channel => !channelNames.includes(channel));
+            if (unknown.length > 0) {
+                throw new Error(`Summary schedule "${name}" uses unknown channel(s): ${unknown.join(', ')}`);
+            }
+            schedule.channels = [].concat(schedule.channels);
+        }
+        if (!(typeof schedule.catchUpHours === 'number' && schedule.catchUpHours > 0)) {
+            throw new Error(`Summary schedule "${name}" catchUpHours must be a number of hours above 0`);
+        }
+        schedule.days = normalizeDays(schedule.days, name);
+        return schedule;
+    });
+}
+
+// Most recent slot at or before `now`: { key: 'YYYY-MM-DDTHH:MM' (local), at: Date }
+function latestSlot(schedule, now = new Date()) {
+    const today = localDate(schedule.timezone, now);
+    for (let back = 0; back <= 7; back++) {
+        const date = shiftDate(today, -back);
+        if (!schedule.days.includes(WEEKDAYS[new Date(`${date}T00:00:00Z`).getUTCDay()])) continue;
+        const at = zonedTime(date, schedule.time, schedule.timezone);
+        if (at <= now) return { key: `${date}T${schedule.time}`, at };
+    }
+    return null;
+}
+
+// Schedules whose latest slot hasn't been sent and is recent enough to catch up on:
+// [{ schedule, slot }]. `sent` maps schedule names to the last slot key sent.
+function dueSchedules(schedules, sent = {}, now = new Date()) {
+    return schedules
+        .map(schedule => ({ schedule, slot: latestSlot(schedule, now) }))
+        .filter(({ schedule, slot }) => slot
+            && slot.key > (sent[schedule.name] || '')
+            && now - slot.at <= schedule.catchUpHours * HOUR_MS);
+}
+
+// Slots past their grace period, and not yet too old to catch up on, that no
+// trip has sent: [{ schedule, slot }]. `sentByTrip` is each trip's tripHistory.summaries.
+function overdueSchedules(schedules, sentByTrip, graceHours, now = new Date()) {
+    return schedules
+        .map(schedule => ({ schedule, slot: latestSlot(schedule, now) }))
+        .filter(({ schedule, slot }) => slot
+            && now - slot.at > graceHours * HOUR_MS
+            && now - slot.at <= schedule.catchUpHours * HOUR_MS
+            && !sentByTrip.some(sent => (sent || {})[schedule.name] >= slot.key));
+}
+
+// "10:00 daily (Asia/Kolkata)", "09:00 sat (Europe/London)"
+function describeSchedule(schedule) {
+    const days = Object.keys(DAY_SETS).find(set => DAY_SETS[set].length === schedule.days.length
+        && DAY_SETS[set].every(day => schedule.days.includes(day)));
+    return `${schedule.time} ${days || schedule.days.join(', ')} (${schedule.timezone})`;
+}
+
+module.exports = {
+    DEFAULT_TIMEZONE,
+    localDate,
+    normalizeSchedules,
+    latestSlot,
+    dueSchedules,
+    overdueSchedules,
+    describeSchedule
+};
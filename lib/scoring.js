@@ -0,0 +1,195 @@
+const { parseTimeOfDay, localTimeOfDay } = require('./time-windows');
+const { flightAirlineCodes } = require('./separate-tickets');
+
+// Weighted "best value" scoring of a trip's offers.
+//
+// Trip config shape (every field optional):
+//   scoring: {
+//       weights: { price: 5, duration: 2, stops: 2, departureTime: 1, airline: 1 },
+//       preferredTimes: { outbound: '19:00', return: '14:00' },  // preferred local departure
+//       preferredAirlines: ['6E'],
+//       avoidAirlines: ['SG'],
+//       topN: 5
+//   }
+// Each factor is turned into a penalty between 0 (best) and 1 (worst) and the
+// score is 100 minus the weighted average penalty, so 100 is an offer that is
+// the cheapest, the fastest, non-stop, on time and on a preferred airline.
+
+const DEFAULT_WEIGHTS = {
+    price: 5,
+    duration: 2,
+    stops: 2,
+    departureTime: 1,
+    airline: 1
+};
+
+const SCORING_DEFAULTS = {
+    preferredTimes: {},
+    preferredAirlines: [],
+    avoidAirlines: [],
+    topN: 5
+};
+
+// How far from the best an offer has to be for the full penalty
+const PRICE_SPAN = 0.5; // 50% dearer than the cheapest
+const DURATION_SPAN = 1; // twice as long as the fastest
+const STOP_PENALTY = 0.25; // per stop over both legs
+const TIME_SPAN_MINUTES = 4 * 60; // four hours off the preferred departure
+const NEUTRAL_AIRLINE_PENALTY = 0.5; // airlines that are neither preferred nor avoided, when a preference is set
+
+const LEGS = ['outbound', 'return'];
+
+function formatRs(amount) {
+    return `Rs ${amount.toLocaleString('en-IN')}`;
+}
+
+function formatMinutes(minutes) {
+    const hours = Math.floor(minutes / 60);
+    const rest = minutes % 60;
+    if (hours === 0) return `${rest}m`;
+    return rest === 0 ? `${hours}h` : `${hours}h ${rest}m`;
+}
+
+// Fill in defaults and validate trip.scoring
+function normalizeScoring(trip) {
+    const config = trip.scoring || {};
+    const weights = { ...DEFAULT_WEIGHTS, ...(config.weights || {}) };
+
+    for (const [name, weight] of Object.entries(weights)) {
+        if (!(name in DEFAULT_WEIGHTS)) {
+            throw new Error(`Trip "${trip.id}" has unknown scoring weight "${name}" (expected one of: ${Object.keys(DEFAULT_WEIGHTS).join(', ')})`);
+        }
+        if (typeof weight !== 'number' || weight < 0) {
+            throw new Error(`Trip "${trip.id}" scoring weight "${name}" must be a number >= 0`);
+        }
+    }
+    if (Object.values(weights).every(weight => weight === 0)) {
+        throw new Error(`Trip "${trip.id}" needs at least one scoring weight above 0`);
+    }
+
+    const scoring = { ...SCORING_DEFAULTS, ...config, weights };
+    for (const leg of Object.keys(scoring.preferredTimes)) {
+        if (!LEGS.includes(leg) || !/^\d{1,2}:\d{2}$/.test(scoring.preferredTimes[leg])) {
+            throw new Error(`Trip "${trip.id}" has an invalid preferred time for "${leg}" (expected outbound/return as HH:MM)`);
+        }
+    }
+    return scoring;
+}
+
+// Minutes between two times of day, going the short way round midnight
+function minutesApart(a, b) {
+    const diff = Math.abs(a - b);
+    return Math.min(diff, 24 * 60 - diff);
+}
+
+// Each factor as { penalty, good, text } for one flight against the whole set
+function scoreFactors(flight, context, scoring) {
+    const { cheapest, fastest } = context;
+    const factors = {};
+
+    const extra = flight.price - cheapest;
+    factors.price = {
+        penalty: Math.min(extra / cheapest / PRICE_SPAN, 1),
+        good: extra === 0,
+        text: extra === 0
+            ? 'Cheapest offer'
+            : `${formatRs(extra)} (${Math.round(extra / cheapest * 100)}%) more than the cheapest`
+    };
+
+    const slower = flight.totalDuration - fastest;
+    factors.duration = {
+        penalty: Math.min(slower / fastest / DURATION_SPAN, 1),
+        good: slower === 0,
+        text: slower === 0 ? 'Fastest itinerary' : `${formatMinutes(slower)} longer than the fastest`
+    };
+
+    const stops = flight.outbound.stops + flight.return.stops;
+    factors.stops = {
+        penalty: Math.min(stops * STOP_PENALTY, 1),
+        good: stops === 0,
+        text: stops === 0 ? 'Non-stop both ways' : `${stops} stop${stops > 1 ? 's' : ''} in total`
+    };
+
+    const legs = LEGS.filter(leg => scoring.preferredTimes[leg] && flight[leg].departureAt);
+    if (legs.length > 0) {
+        const offsets = legs.map(leg => ({
+            leg,
+            preferred: scoring.preferredTimes[leg],
+            minutes: minutesApart(localTimeOfDay(flight[leg].departureAt), parseTimeOfDay(scoring.preferredTimes[leg]))
+        }));
+        const worst = offsets.reduce((a, b) => (b.minutes > a.minutes ? b : a));
+        const average = offsets.reduce((sum, o) => sum + o.minutes, 0) / offsets.length;
+        factors.departureTime = {
+            penalty: Math.min(average / TIME_SPAN_MINUTES, 1),
+            good: worst.minutes <= 30,
+            text: worst.minutes <= 30
+                ? 'Departs close to the preferred times'
+                : `${worst.leg === 'outbound' ? 'Outbound' : 'Return'} departs ${formatMinutes(worst.minutes)} from the preferred ${worst.preferred}`
+        };
+    }
+
+    if (scoring.preferredAirlines.length > 0 || scoring.avoidAirlines.length > 0) {
+        const codes = flightAirlineCodes(flight);
+        const preferred = codes.some(code => scoring.preferredAirlines.includes(code));
+        const avoided = codes.some(code => scoring.avoidAirlines.includes(code));
+        const neutral = scoring.preferredAirlines.length > 0 ? NEUTRAL_AIRLINE_PENALTY : 0;
+        factors.airline = {
+            penalty: avoided ? 1 : preferred ? 0 : neutral,
+            good: preferred,
+            text: avoided
+                ? `${flight.airline} is on the avoid list`
+                : preferred ? `${flight.airline} is a preferred airline` : `${flight.airline} is not a preferred airline`
+        };
+    }
+
+    return factors;
+}
+
+// Why an offer ranked where it did: its strengths, then what cost it the most points
+function explainScore(factors, weights, totalWeight) {
+    const entries = Object.entries(factors).filter(([name]) => weights[name] > 0);
+    const strengths = entries
+        .filter(([, factor]) => factor.good)
+        .sort(([a], [b]) => weights[b] - weights[a])
+        .map(([, factor]) => factor.text);
+    const costs = entries
+        .filter(([, factor]) => !factor.good)
+        .map(([name, factor]) => ({ text: factor.text, points: Math.round(100 * weights[name] * factor.penalty / totalWeight) }))
+        .sort((a, b) => b.points - a.points)
+        .map(cost => cost.points > 0 ? `${cost.text} (-${cost.points} pt${cost.points === 1 ? '' : 's'})` : cost.text);
+
+    return [...strengths, ...costs];
+}
+
+// Score and rank flights, best first. Returns the top `limit` as
+// [{ rank, score, flight, factors, reasons }].
+function rankFlights(flights, scoring, limit = scoring.topN) {
+    if (flights.length === 0) return [];
+
+    const context = {
+        cheapest: Math.min(...flights.map(f => f.price)),
+        fastest: Math.min(...flights.map(f => f.totalDuration))
+    };
+
+    const scored = flights.map(flight => {
+        const factors = scoreFactors(flight, context, scoring);
+        // Factors that don't apply (no preferred times or airlines) don't count towards the weight
+        const applicable = Object.keys(factors).filter(name => scoring.weights[name] > 0);
+        const totalWeight = applicable.reduce((sum, name) => sum + scoring.weights[name], 0) || 1;
+        const penalty = applicable.reduce((sum, name) => sum + scoring.weights[name] * factors[name].penalty, 0);
+
+        return {
+            score: Math.round(100 * (1 - penalty / totalWeight)),
+            flight,
+            factors,
+            reasons: explainScore(factors, scoring.weights, totalWeight)
+        };
+    });
+
+    return scored
+        .sort((a, b) => b.score - a.score || a.flight.price - b.flight.price)
+        .slice(0, limit)
+        .map((entry, index) => ({ rank: index + 1, ...entry }));
+}
+
+module.exports = { normalizeScoring, rankFlights, DEFAULT_WEIGHTS };
@@ -0,0 +1,145 @@
+const { itineraryKey } = require('./price-series');
+const { parseTravelerPrices } = require('./travelers');
+
+// Round trips built from two one-way tickets.
+//
+// On domestic routes two separate one-way tickets, often on different airlines,
+// are regularly cheaper than a round-trip fare or fit the time windows better.
+// With `separateTickets` on, each leg is also searched as a one-way trip and the
+// best tickets of each leg are paired into flights that rank alongside the
+// round-trip offers:
+//   separateTickets: true,          // also search each leg one-way (default)
+//   maxSeparateTicketPairs: 10      // most pairings kept per search
+// Only the cheapest ticket of each airline and the fastest ticket of a leg are
+// paired, and a pairing is dropped when the same flights are sold as one round
+// trip for no more.
+//
+// A paired flight has the usual flight fields plus:
+//   separateTickets: true
+//   tickets: [{ direction: 'outbound' | 'return', id, airline, airlineCode, price }]
+//   offers: the two raw one-way offers, in ticket order (flight.offer is null)
+// Its airlineCode joins the carriers ("QP+6E"), so per-airline settings match a
+// pair on any of its `carriers` instead (see flightAirlineCodes).
+// Each ticket is booked on its own: a delay on one doesn't protect the other.
+
+const DIRECTIONS = ['outbound', 'return'];
+
+// One-way searches for a trip's dates: [{ direction, origin, destination, date }]
+function oneWayLegs(trip, dates) {
+    const legs = [];
+    for (const origin of trip.origins) {
+        for (const destination of trip.destinations) {
+            legs.push({ direction: 'outbound', origin, destination, date: dates.outboundDate });
+        }
+    }
+    for (const origin of trip.destinations) {
+        for (const destination of trip.origins) {
+            legs.push({ direction: 'return', origin, destination, date: dates.returnDate });
+        }
+    }
+    return legs;
+}
+
+// The cheapest ticket of each airline and the fastest ticket overall
+function shortlistTickets(tickets) {
+    const picks = new Map();
+    for (const ticket of tickets) {
+        const key = ticket.carriers.join('+');
+        if (!picks.has(key) || ticket.price < picks.get(key).price) picks.set(key, ticket);
+    }
+    if (tickets.length > 0) {
+        const fastest = tickets.reduce((min, t) => t.minutes < min.minutes || (t.minutes === min.minutes && t.price < min.price) ? t : min);
+        picks.set('fastest', fastest);
+    }
+    return [...new Set(picks.values())];
+}
+
+// Per-traveler fares of both tickets added up, traveler by traveler
+function combinedTravelerPrices(outboundOffer, returnOffer) {
+    const returnPricings = returnOffer.travelerPricings || [];
+    return parseTravelerPrices({
+        travelerPricings: (outboundOffer.travelerPricings || []).map((pricing, i) => ({
+            travelerType: pricing.travelerType,
+            price: { total: parseFloat(pricing.price.total) + parseFloat(returnPricings[i] ? returnPricings[i].price.total : 0) }
+        }))
+    });
+}
+
+function pairTickets(outbound, ret, trip, dates) {
+    const carriers = [...new Set([...outbound.carriers, ...ret.carriers])];
+    const price = outbound.price + ret.price;
+    const checkedBags = [...new Set([outbound.checkedBags, ret.checkedBags].filter(Boolean))];
+    const seats = [outbound.seats, ret.seats].filter(count => count !== null);
+
+    const flight = {
+        id: `${outbound.id}/${ret.id}`,
+        airline: carriers.map(code => outbound.names[code] || ret.names[code]).join(' + '),
+        airlineCode: carriers.join('+'),
+        carriers,
+        mixedCarrier: carriers.length > 1,
+        separateTickets: true,
+        tickets: [outbound, ret].map((ticket, i) => ({
+            direction: DIRECTIONS[i],
+            id: ticket.id,
+            airline: ticket.airline,
+            airlineCode: ticket.carriers.join('+'),
+            price: ticket.price
+        })),
+        openJaw: outbound.leg.to !== ret.leg.from || outbound.leg.from !== ret.leg.to,
+        outboundDate: dates.outboundDate,
+        returnDate: dates.returnDate,
+        price,
+        travelerPrices: combinedTravelerPrices(outbound.offer, ret.offer),
+        cabins: [...new Set([...outbound.cabins, ...ret.cabins])],
+        seats: seats.length > 0 ? Math.min(...seats) : null,
+        refundablePrice: Math.round(price * (1 + trip.refundableMarkup)),
+        fare: {
+            refundableSource: 'estimate',
+            checkedBags: checkedBags.length > 0 ? checkedBags.join(' / ') : null,
+            changeFee: null
+        },
+        outbound: outbound.leg,
+        return: ret.leg,
+        totalDuration: outbound.minutes + ret.minutes,
+        offer: null,
+        offers: [outbound.offer, ret.offer]
+    };
+    flight.itineraryKey = itineraryKey(flight);
+    return flight;
+}
+
+// Airline codes that per-airline settings (preferred airlines, airlineDrop rules,
+// airline lows) match a flight on: every carrier of a separate-ticket pair, the
+// listed airline of a round-trip fare
+function flightAirlineCodes(flight) {
+    return flight.separateTickets ? flight.carriers : [flight.airlineCode];
+}
+
+// Pair the shortlisted one-way tickets of each leg into flights, cheapest first.
+// `tickets` is { outbound: [...], return: [...] } of parsed one-way offers:
+//   { id, airline, carriers, names, price, minutes, leg, cabins, seats, checkedBags, offer }
+// where `names` maps carrier codes to airline names.
+// `roundTrips` are the round-trip flights found for the same dates.
+function pairSeparateTickets(tickets, roundTrips, trip, dates) {
+    const roundTripPrices = new Map();
+    for (const flight of roundTrips) {
+        const price = roundTripPrices.get(flight.itineraryKey);
+        if (price === undefined || flight.price < price) roundTripPrices.set(flight.itineraryKey, flight.price);
+    }
+
+    const flights = [];
+    for (const outbound of shortlistTickets(tickets.outbound)) {
+        for (const ret of shortlistTickets(tickets.return)) {
+            const openJaw = outbound.leg.to !== ret.leg.from || outbound.leg.from !== ret.leg.to;
+            if (openJaw && trip.openJaw === false) continue;
+
+            const flight = pairTickets(outbound, ret, trip, dates);
+            const roundTripPrice = roundTripPrices.get(itineraryKey({ ...flight, separateTickets: false }));
+            if (roundTripPrice !== undefined && roundTripPrice <= flight.price) continue;
+            flights.push(flight);
+        }
+    }
+    return flights.sort((a, b) => a.price - b.price || a.totalDuration - b.totalDuration);
+}
+
+module.exports = { oneWayLegs, pairSeparateTickets, flightAirlineCodes };
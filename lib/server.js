@@ -0,0 +1,299 @@
+const http = require('http');
+const { nextCheckTime } = require('./health');
+const { localDate } = require('./schedules');
+
+// Long-running server mode (`node check-flights.js serve`).
+//
+// Runs checks on its own schedule - every `intervalMinutes` on the clock, like
+// the workflow's hourly cron - and answers JSON requests:
+//   GET  /health                     server state, last and next check
+//   GET  /trips                      configured trips
+//   GET  /trips/:id                  one trip with its latest check
+//   GET  /trips/:id/offers?limit=20  latest categorized offers, cheapest first
+//   GET  /trips/:id/history?days=30  daily prices
+//   GET  /trips/:id/alerts           alerts raised for the trip
+//   GET  /alerts?limit=50            recent alerts across all trips
+//   POST /check                      run a check now; body { trips?: [ids], summary?, notify? }
+// With a token every request needs `Authorization: Bearer <token>`. Only one
+// check runs at a time: a POST during a check gets 409 and a scheduled check
+// that comes due is skipped.
+//
+// options: { trips, runCheck, loadHistory, intervalMinutes, token }
+//   runCheck(trips, { summary, notify }) resolves to { run, results: [{ trip, result }] }
+//   (see checkTrip in check-flights.js); loadHistory() returns the price history.
+
+const MAX_BODY_BYTES = 64 * 1024;
+
+function httpError(status, message) {
+    return Object.assign(new Error(message), { status });
+}
+
+// Parsed flight without the raw Amadeus offers
+function publicFlight(flight) {
+    if (!flight) return null;
+    const { offer, offers, ...rest } = flight;
+    return rest;
+}
+
+function publicTrip(trip) {
+    return {
+        id: trip.id,
+        name: trip.name,
+        origins: trip.origins,
+        destinations: trip.destinations,
+        outboundDate: trip.outboundDate,
+        returnDate: trip.returnDate,
+        travelers: trip.travelers,
+        cabin: trip.cabin,
+        nonStop: trip.nonStop,
+        maxPrice: trip.maxPrice,
+        maxStops: trip.maxStops
+    };
+}
+
+function publicCategories(categories) {
+    if (!categories) return null;
+    return {
+        fastest: publicFlight(categories.fastest),
+        cheapest: publicFlight(categories.cheapest),
+        bestOneStop: publicFlight(categories.bestOneStop)
+    };
+}
+
+function positiveNumber(value, name, fallback) {
+    if (value === null) return fallback;
+    const number = parseInt(value, 10);
+    if (!(number > 0)) throw httpError(400, `${name} must be a positive number`);
+    return number;
+}
+
+// Parse a JSON request body. Past MAX_BODY_BYTES the rest is read and thrown away
+// rather than the socket torn down, so the client still gets the 413.
+function readJsonBody(request) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        let tooLarge = false;
+        request.on('data', chunk => {
+            if (tooLarge) return;
+            body += chunk;
+            if (body.length > MAX_BODY_BYTES) {
+                tooLarge = true;
+                body = '';
+                reject(httpError(413, 'Request body too large'));
+            }
+        });
+        request.on('end', () => {
+            if (tooLarge) return;
+            if (!body.trim()) return resolve({});
+            try {
+                resolve(JSON.parse(body));
+            } catch (error) {
+                reject(httpError(400, `Invalid JSON body: ${error.message}`));
+            }
+        });
+        request.on('error', reject);
+    });
+}
+
+function createApiServer({ trips, runCheck, loadHistory, intervalMinutes, token = null }) {
+    const latest = new Map(); // trip id -> { checkedAt, status, errors, categories, offers }
+    const state = { running: null, lastRun: null, nextCheck: null, timer: null };
+
+    function findTrip(id) {
+        const trip = trips.find(t => t.id === id);
+        if (!trip) throw httpError(404, `Unknown trip "${id}"`);
+        return trip;
+    }
+
+    // Run a check unless one is already going; remembers each trip's latest offers
+    async function check(selected, { summary, notify = true } = {}) {
+        if (state.running) throw httpError(409, 'A check is already running');
+
+        state.running = runCheck(selected, { summary, notify });
+        try {
+            const { run, results } = await state.running;
+            for (const { trip, result } of results) {
+                latest.set(trip.id, {
+                    checkedAt: run.finishedAt,
+                    status: result.status,
+                    errors: result.errors,
+                    categories: result.categories || null,
+                    offers: result.offers || []
+                });
+            }
+            state.lastRun = { startedAt: run.startedAt, finishedAt: run.finishedAt, status: run.status };
+            return { run, results };
+        } finally {
+            state.running = null;
+        }
+    }
+
+    function scheduleNext() {
+        state.nextCheck = nextCheckTime(intervalMinutes);
+        state.timer = setTimeout(async () => {
+            if (state.running) {
+                console.log('Scheduled check skipped: a check is already running');
+            } else {
+                try {
+                    await check(trips);
+                } catch (error) {
+                    console.error('Scheduled check failed:', error.message);
+                }
+            }
+            scheduleNext();
+        }, state.nextCheck - Date.now());
+    }
+
+    function tripSummary(trip) {
+        const entry = latest.get(trip.id);
+        return {
+            ...publicTrip(trip),
+            latest: entry ? {
+                checkedAt: entry.checkedAt,
+                status: entry.status,
+                errors: entry.errors,
+                flights: entry.offers.length,
+                cheapest: publicFlight(entry.categories && entry.categories.cheapest)
+            } : null
+        };
+    }
+
+    async function postCheck(request) {
+        const body = await readJsonBody(request);
+        const ids = body.trips || [];
+        if (!Array.isArray(ids)) throw httpError(400, 'trips must be a list of trip ids');
+        const selected = ids.length > 0 ? ids.map(findTrip) : trips;
+
+        const { run, results } = await check(selected, {
+            summary: body.summary === undefined ? undefined : Boolean(body.summary),
+            notify: body.notify === undefined ? true : Boolean(body.notify)
+        });
+        return {
+            run: { startedAt: run.startedAt, finishedAt: run.finishedAt, status: run.status },
+            trips: results.map(({ trip, result }) => ({
+                id: trip.id,
+                status: result.status,
+                errors: result.errors,
+                flights: (result.offers || []).length,
+                ...publicCategories(result.categories)
+            }))
+        };
+    }
+
+    // Route a request to its handler; resolves to [status, body]
+    async function route(request, url) {
+        const parts = url.pathname.split('/').filter(Boolean).map(part => {
+            try {
+                return decodeURIComponent(part);
+            } catch (error) {
+                throw httpError(400, `Malformed path: ${url.pathname}`);
+            }
+        });
+
+        if (request.method === 'POST' && url.pathname === '/check') {
+            return [200, await postCheck(request)];
+        }
+        if (request.method !== 'GET') throw httpError(405, `${request.method} not allowed on ${url.pathname}`);
+
+        if (url.pathname === '/health') {
+            return [200, {
+                status: state.running ? 'checking' : 'idle',
+                lastRun: state.lastRun,
+                nextCheck: state.nextCheck ? state.nextCheck.toISOString() : null,
+                intervalMinutes
+            }];
+        }
+        if (url.pathname === '/trips') {
+            return [200, { trips: trips.map(tripSummary) }];
+        }
+        if (url.pathname === '/alerts') {
+            const limit = positiveNumber(url.searchParams.get('limit'), 'limit', 50);
+            const history = loadHistory();
+            const alerts = trips
+                .flatMap(trip => ((history.trips[trip.id] || {}).alerts || []).map(alert => ({ tripId: trip.id, ...alert })))
+                .sort((a, b) => b.at.localeCompare(a.at))
+                .slice(0, limit);
+            return [200, { alerts }];
+        }
+
+        if (parts[0] === 'trips' && parts.length >= 2 && parts.length <= 3) {
+            const trip = findTrip(parts[1]);
+            const view = parts[2] || null;
+
+            if (view === null) return [200, tripSummary(trip)];
+
+            if (view === 'offers') {
+                const entry = latest.get(trip.id);
+                if (!entry) throw httpError(404, `No check has run for "${trip.id}" since the server started; POST /check to run one`);
+                const limit = positiveNumber(url.searchParams.get('limit'), 'limit', 20);
+                return [200, {
+                    checkedAt: entry.checkedAt,
+                    status: entry.status,
+                    categories: publicCategories(entry.categories),
+                    offers: [...entry.offers].sort((a, b) => a.price - b.price).slice(0, limit).map(publicFlight)
+                }];
+            }
+
+            const tripHistory = loadHistory().trips[trip.id] || { daily: [], alerts: [] };
+            if (view === 'history') {
+                const days = positiveNumber(url.searchParams.get('days'), 'days', null);
+                const since = days ? localDate(trip.timezone, new Date(Date.now() - days * 86400000)) : '';
+                return [200, { daily: (tripHistory.daily || []).filter(entry => entry.date >= since), lastCheck: tripHistory.lastCheck || null }];
+            }
+            if (view === 'alerts') {
+                return [200, { alerts: [...(tripHistory.alerts || [])].reverse(), held: tripHistory.heldAlerts || [] }];
+            }
+        }
+
+        throw httpError(404, `Not found: ${url.pathname}`);
+    }
+
+    async function handle(request, response) {
+        let status;
+        let body;
+        try {
+            if (token && request.headers.authorization !== `Bearer ${token}`) {
+                throw httpError(401, 'Missing or wrong bearer token');
+            }
+            [status, body] = await route(request, new URL(request.url, 'http://localhost'));
+        } catch (error) {
+            status = error.status || 500;
+            body = { error: error.message };
+            if (status === 500) console.error('Server error:', error);
+        }
+
+        response.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+        response.end(JSON.stringify(body, null, 2));
+    }
+
+    const server = http.createServer(handle);
+
+    // Start listening and schedule checks; resolves to the bound { address, port }
+    function listen(port, host) {
+        return new Promise((resolve, reject) => {
+            server.once('error', reject);
+            server.listen(port, host, () => {
+                server.off('error', reject);
+                scheduleNext();
+                resolve(server.address());
+            });
+        });
+    }
+
+    // Stop scheduling, let a running check finish and close the server
+    async function close() {
+        clearTimeout(state.timer);
+        if (state.running) {
+            console.log('Waiting for the running check to finish...');
+            await state.running.catch(() => {});
+        }
+        await new Promise(resolve => {
+            server.close(resolve);
+            server.closeIdleConnections();
+        });
+    }
+
+    return { listen, close, check, state };
+}
+
+module.exports = { createApiServer };
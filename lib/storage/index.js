@@ -0,0 +1,30 @@
+const { createJsonStorage } = require('./json');
+const { createSqliteStorage } = require('./sqlite');
+
+// A storage backend keeps the price history and is an object with:
+//   name            - short identifier used in logs
+//   file            - where the history lives
+//   load()          - the stored history, migrated to the current schema
+//                     version (see schema.js); an empty history when none is stored
+//   save(history)   - replaces the stored history in one atomic write
+//   withLock(fn)    - runs fn (sync or async) holding a cross-process lock and
+//                     resolves to its result; a check loads, updates and saves
+//                     inside it so concurrent runs take turns (see lock.js)
+//   close()         - releases open files or connections
+// options: { file, legacyTripId, lockTimeoutMs, lockStaleMs } plus backend
+// specific ones; legacyTripId is the trip that adopts a pre-watchlist
+// single-trip history.
+const STORAGE_BACKENDS = {
+    json: createJsonStorage,
+    sqlite: createSqliteStorage
+};
+
+function createStorage(name, options = {}) {
+    const factory = STORAGE_BACKENDS[name];
+    if (!factory) {
+        throw new Error(`Unknown storage backend "${name}" (expected one of: ${Object.keys(STORAGE_BACKENDS).join(', ')})`);
+    }
+    return factory(options);
+}
+
+module.exports = { createStorage, STORAGE_BACKENDS };
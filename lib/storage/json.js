@@ -0,0 +1,66 @@
+const fs = require('fs');
+const path = require('path');
+const { acquireLock } = require('./lock');
+const { emptyHistory, migrate } = require('./schema');
+
+const DEFAULT_FILE = 'price-history.json';
+
+// Write to a temporary file beside the target, flush it and rename it over the
+// target, so a crash mid-write leaves the old file rather than half a new one
+function writeFileAtomic(file, data) {
+    const temp = path.join(path.dirname(file), `.${path.basename(file)}.${process.pid}.tmp`);
+    const fd = fs.openSync(temp, 'w');
+    try {
+        fs.writeFileSync(fd, data);
+        fs.fsyncSync(fd);
+    } finally {
+        fs.closeSync(fd);
+    }
+    fs.renameSync(temp, file);
+}
+
+// History kept in one pretty-printed JSON file, easy to diff and commit.
+// options: { file, legacyTripId, lockTimeoutMs, lockStaleMs }
+function createJsonStorage(options = {}) {
+    const file = options.file || DEFAULT_FILE;
+
+    return {
+        name: 'json',
+        file,
+
+        load() {
+            if (!fs.existsSync(file)) return emptyHistory();
+
+            let stored;
+            try {
+                stored = JSON.parse(fs.readFileSync(file, 'utf8'));
+            } catch (error) {
+                // Never fall back to an empty history here: the next save would wipe the file
+                throw new Error(`Could not read price history from ${file}: ${error.message}`);
+            }
+
+            const { history, from } = migrate(stored, options);
+            if (from !== history.version) {
+                console.log(`Migrated ${file} from schema version ${from} to ${history.version}`);
+            }
+            return history;
+        },
+
+        save(history) {
+            writeFileAtomic(file, JSON.stringify(history, null, 2));
+        },
+
+        async withLock(fn) {
+            const release = await acquireLock(`${file}.lock`, { timeoutMs: options.lockTimeoutMs, staleMs: options.lockStaleMs });
+            try {
+                return await fn();
+            } finally {
+                release();
+            }
+        },
+
+        close() {}
+    };
+}
+
+module.exports = { createJsonStorage, writeFileAtomic };
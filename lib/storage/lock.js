@@ -0,0 +1,70 @@
+const fs = require('fs');
+const os = require('os');
+
+// Cross-process lock on the price history, held for a whole check so two runs
+// can't read the same history and then overwrite each other's results.
+//
+// The lock is a file created with O_EXCL next to the history, holding
+// { pid, host, at }. A lock whose process is gone (same host) or that is older
+// than `staleMs` (a run that crashed on another machine sharing the disk) is
+// taken over.
+
+const RETRY_MS = 500;
+
+function readLock(file) {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        return null; // gone, or still being written
+    }
+}
+
+function processAlive(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (error) {
+        return error.code === 'EPERM';
+    }
+}
+
+function isStale(owner, staleMs) {
+    if (!owner) return false;
+    if (Date.now() - Date.parse(owner.at) > staleMs) return true;
+    return owner.host === os.hostname() && !processAlive(owner.pid);
+}
+
+// Resolves to a release function once the lock is held; rejects after timeoutMs
+async function acquireLock(file, { timeoutMs = 10 * 60 * 1000, staleMs = 60 * 60 * 1000 } = {}) {
+    const deadline = Date.now() + timeoutMs;
+    let waiting = false;
+
+    while (true) {
+        try {
+            const fd = fs.openSync(file, 'wx');
+            fs.writeFileSync(fd, JSON.stringify({ pid: process.pid, host: os.hostname(), at: new Date().toISOString() }));
+            fs.closeSync(fd);
+            return () => fs.rmSync(file, { force: true });
+        } catch (error) {
+            if (error.code !== 'EEXIST') throw error;
+        }
+
+        const owner = readLock(file);
+        if (isStale(owner, staleMs)) {
+            console.log(`Taking over stale lock ${file} (pid ${owner.pid} on ${owner.host} since ${owner.at})`);
+            fs.rmSync(file, { force: true });
+            continue;
+        }
+        if (Date.now() >= deadline) {
+            const holder = owner ? `pid ${owner.pid} on ${owner.host} since ${owner.at}` : 'another process';
+            throw new Error(`Timed out waiting for ${file}: price history is locked by ${holder}`);
+        }
+        if (!waiting && owner) {
+            console.log(`Price history is locked by pid ${owner.pid} on ${owner.host}; waiting...`);
+            waiting = true;
+        }
+        await new Promise(resolve => setTimeout(resolve, RETRY_MS));
+    }
+}
+
+module.exports = { acquireLock };
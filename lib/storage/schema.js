@@ -0,0 +1,45 @@
+// Price history schema versions and the migrations between them.
+//
+//   0  unversioned: a single trip's { daily, lastCheck } from before the
+//      watchlist, or { trips, lastCheck, health } without a version
+//   1  { version: 1, trips: { [tripId]: { daily, lastCheck, offers, alerts, ... } }, lastCheck, health }
+//
+// MIGRATIONS[n] upgrades a version n history to n + 1. Add a migration and bump
+// SCHEMA_VERSION whenever the stored shape changes.
+
+const SCHEMA_VERSION = 1;
+
+const MIGRATIONS = [
+    // 0 -> 1: a legacy single-trip history belongs to the watchlist's first trip
+    (history, { legacyTripId }) => {
+        const { daily, lastCheck = null, trips = {}, ...rest } = history;
+        if (Array.isArray(daily)) {
+            if (!legacyTripId) throw new Error('A single-trip price history needs a trip to move it to');
+            if (!trips[legacyTripId]) trips[legacyTripId] = { daily, lastCheck };
+        }
+        return { ...rest, trips, lastCheck };
+    }
+];
+
+function emptyHistory() {
+    return { version: SCHEMA_VERSION, trips: {}, lastCheck: null };
+}
+
+// Upgrade a stored history to SCHEMA_VERSION. Returns { history, from } where
+// `from` is the version it was stored as.
+// options: { legacyTripId } - trip that adopts a single-trip history
+function migrate(history, options = {}) {
+    const from = history.version || 0;
+    if (!Number.isInteger(from) || from > SCHEMA_VERSION) {
+        throw new Error(`Price history has schema version ${history.version} but this tracker only knows up to ${SCHEMA_VERSION}; update the tracker before running it against this history`);
+    }
+
+    let migrated = history;
+    for (let version = from; version < SCHEMA_VERSION; version++) {
+        migrated = { ...MIGRATIONS[version](migrated, options), version: version + 1 };
+    }
+    if (!migrated.trips) migrated.trips = {};
+    return { history: migrated, from };
+}
+
+module.exports = { SCHEMA_VERSION, emptyHistory, migrate };
@@ -0,0 +1,141 @@
+const fs = require('fs');
+const { acquireLock } = require('./lock');
+const { emptyHistory, migrate } = require('./schema');
+const { createJsonStorage } = require('./json');
+
+const DEFAULT_FILE = 'price-history.db';
+
+// Table layout, tracked with PRAGMA user_version. This is separate from the
+// history's own SCHEMA_VERSION (schema.js), which is stored in meta.
+const TABLES_VERSION = 1;
+const TABLES = `
+    CREATE TABLE IF NOT EXISTS meta (
+        key TEXT PRIMARY KEY,
+        value TEXT NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS trips (
+        id TEXT PRIMARY KEY,
+        data TEXT NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS daily_prices (
+        trip_id TEXT NOT NULL,
+        date TEXT NOT NULL,
+        data TEXT NOT NULL,
+        PRIMARY KEY (trip_id, date)
+    );
+`;
+
+// better-sqlite3 is only needed by this backend, so it is an optional dependency:
+// npm skips it when it can't be built for this platform
+function loadDriver() {
+    try {
+        return require('better-sqlite3');
+    } catch (error) {
+        if (error.code !== 'MODULE_NOT_FOUND') throw error;
+        throw new Error('The sqlite storage backend needs the optional better-sqlite3 package, which is not installed; run npm install better-sqlite3 (it needs a prebuilt binary or build tools for this Node version) or use STORAGE_BACKEND=json');
+    }
+}
+
+function openDatabase(Database, file) {
+    const db = new Database(file);
+    db.pragma('journal_mode = WAL');
+    db.pragma('busy_timeout = 5000');
+
+    const version = db.pragma('user_version', { simple: true });
+    if (version > TABLES_VERSION) {
+        db.close();
+        throw new Error(`${file} has table version ${version} but this tracker only knows up to ${TABLES_VERSION}; update the tracker`);
+    }
+    db.exec(TABLES);
+    db.pragma(`user_version = ${TABLES_VERSION}`);
+    return db;
+}
+
+// History in a SQLite database: one row per trip and per trip day, with the
+// top-level fields (version, lastCheck, health) in meta. Every save is one
+// transaction. An empty database starts from the JSON history in `importFile`
+// (default price-history.json) if there is one.
+// options: { file, importFile, legacyTripId, lockTimeoutMs, lockStaleMs }
+function createSqliteStorage(options = {}) {
+    const file = options.file || DEFAULT_FILE;
+    const importFile = options.importFile || 'price-history.json';
+    const Database = loadDriver();
+    let db = null;
+
+    function database() {
+        if (!db) db = openDatabase(Database, file);
+        return db;
+    }
+
+    function readHistory() {
+        const meta = database().prepare('SELECT key, value FROM meta').all();
+        if (meta.length === 0) return null;
+
+        const history = { trips: {} };
+        for (const { key, value } of meta) history[key] = JSON.parse(value);
+
+        const daily = database().prepare('SELECT trip_id, data FROM daily_prices ORDER BY trip_id, date').all();
+        for (const { id, data } of database().prepare('SELECT id, data FROM trips').all()) {
+            history.trips[id] = { ...JSON.parse(data), daily: [] };
+        }
+        for (const { trip_id: tripId, data } of daily) {
+            if (history.trips[tripId]) history.trips[tripId].daily.push(JSON.parse(data));
+        }
+        return history;
+    }
+
+    return {
+        name: 'sqlite',
+        file,
+
+        load() {
+            const stored = readHistory();
+            if (!stored) {
+                if (!fs.existsSync(importFile)) return emptyHistory();
+                console.log(`Importing price history from ${importFile} into ${file}`);
+                return createJsonStorage({ ...options, file: importFile }).load();
+            }
+
+            const { history, from } = migrate(stored, options);
+            if (from !== history.version) {
+                console.log(`Migrated ${file} from schema version ${from} to ${history.version}`);
+            }
+            return history;
+        },
+
+        save(history) {
+            const conn = database();
+            const insertMeta = conn.prepare('INSERT INTO meta (key, value) VALUES (?, ?)');
+            const insertTrip = conn.prepare('INSERT INTO trips (id, data) VALUES (?, ?)');
+            const insertDay = conn.prepare('INSERT INTO daily_prices (trip_id, date, data) VALUES (?, ?, ?)');
+
+            conn.transaction(() => {
+                conn.exec('DELETE FROM meta; DELETE FROM trips; DELETE FROM daily_prices;');
+                const { trips, ...top } = history;
+                for (const [key, value] of Object.entries(top)) {
+                    if (value !== undefined) insertMeta.run(key, JSON.stringify(value));
+                }
+                for (const [id, { daily = [], ...tripHistory }] of Object.entries(trips)) {
+                    insertTrip.run(id, JSON.stringify(tripHistory));
+                    for (const day of daily) insertDay.run(id, day.date, JSON.stringify(day));
+                }
+            })();
+        },
+
+        async withLock(fn) {
+            const release = await acquireLock(`${file}.lock`, { timeoutMs: options.lockTimeoutMs, staleMs: options.lockStaleMs });
+            try {
+                return await fn();
+            } finally {
+                release();
+            }
+        },
+
+        close() {
+            if (db) db.close();
+            db = null;
+        }
+    };
+}
+
+module.exports = { createSqliteStorage };
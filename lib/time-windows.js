@@ -0,0 +1,121 @@
+// Time-of-day filters for flight legs.
+//
+// Amadeus returns segment times as airport-local wall-clock strings without an
+// offset ("2025-11-14T19:10:00"), so everything here works on the string itself
+// rather than going through Date, which would apply the runner's timezone.
+//
+// Trip config shape:
+//   timeWindows: {
+//       outbound: {
+//           departure: { start: '18:00', end: '23:00' },  // either bound optional
+//           arrival: { start: '06:00', end: '24:00' },
+//           arriveBy: '24:00'                              // land before midnight of the travel day
+//       },
+//       return: { ... }
+//   }
+// `start` is inclusive and `end` exclusive. A window whose end is before its
+// start wraps past midnight (e.g. 22:00-02:00). `arriveBy` is measured from the
+// leg's local departure date; append "+1" for the following day ("06:00+1").
+
+const LEGS = ['outbound', 'return'];
+
+// "18:30" -> minutes since midnight
+function parseTimeOfDay(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + (minutes || 0);
+}
+
+// Airport-local date ("2025-11-14") of an Amadeus timestamp
+function localDate(at) {
+    return at.slice(0, 10);
+}
+
+// Airport-local minutes since midnight of an Amadeus timestamp
+function localTimeOfDay(at) {
+    return parseTimeOfDay(at.slice(11, 16));
+}
+
+function daysBetween(fromDate, toDate) {
+    return Math.round((new Date(`${toDate}T00:00:00Z`) - new Date(`${fromDate}T00:00:00Z`)) / 86400000);
+}
+
+function inWindow(minutes, window) {
+    if (!window) return true;
+    const start = window.start ? parseTimeOfDay(window.start) : 0;
+    const end = window.end ? parseTimeOfDay(window.end) : 24 * 60;
+
+    if (start <= end) {
+        return minutes >= start && minutes < end;
+    }
+    return minutes >= start || minutes < end;
+}
+
+// "06:00+1" -> minutes after midnight of the travel day
+function parseArriveBy(arriveBy) {
+    const match = String(arriveBy).match(/^(\d{1,2}:\d{2})(?:\+(\d+))?$/);
+    if (!match) {
+        throw new Error(`Invalid arriveBy "${arriveBy}" (expected HH:MM or HH:MM+N)`);
+    }
+    return parseInt(match[2] || '0', 10) * 24 * 60 + parseTimeOfDay(match[1]);
+}
+
+// Build timeWindows from the older flat departureTimeStart/returnTimeStart/returnTimeEnd keys
+function normalizeTimeWindows(trip) {
+    const windows = trip.timeWindows
+        ? JSON.parse(JSON.stringify(trip.timeWindows))
+        : {
+            outbound: trip.departureTimeStart ? { departure: { start: trip.departureTimeStart } } : {},
+            return: trip.returnTimeStart || trip.returnTimeEnd
+                ? { departure: { start: trip.returnTimeStart, end: trip.returnTimeEnd } }
+                : {}
+        };
+
+    for (const leg of LEGS) {
+        windows[leg] = windows[leg] || {};
+        if (windows[leg].arriveBy) parseArriveBy(windows[leg].arriveBy);
+    }
+    return windows;
+}
+
+// Does a leg ({ departureAt, arrivalAt } in airport-local time) satisfy its windows?
+function matchesLegWindows(leg, windows) {
+    if (!windows) return true;
+
+    if (!inWindow(localTimeOfDay(leg.departureAt), windows.departure)) return false;
+    if (!inWindow(localTimeOfDay(leg.arrivalAt), windows.arrival)) return false;
+
+    if (windows.arriveBy) {
+        const dayOffset = daysBetween(localDate(leg.departureAt), localDate(leg.arrivalAt));
+        const arrivalMinutes = dayOffset * 24 * 60 + localTimeOfDay(leg.arrivalAt);
+        if (arrivalMinutes > parseArriveBy(windows.arriveBy)) return false;
+    }
+
+    return true;
+}
+
+function describeWindow(window) {
+    if (!window || (!window.start && !window.end)) return null;
+    if (window.start && window.end) return `${window.start}-${window.end}`;
+    return window.start ? `from ${window.start}` : `before ${window.end}`;
+}
+
+// Human-readable summary of one leg's windows, e.g. "departs from 18:00, lands by 24:00"
+function describeLegWindows(windows) {
+    const parts = [];
+    const departure = describeWindow(windows && windows.departure);
+    const arrival = describeWindow(windows && windows.arrival);
+    if (departure) parts.push(`departs ${departure}`);
+    if (arrival) parts.push(`arrives ${arrival}`);
+    if (windows && windows.arriveBy) parts.push(`lands by ${windows.arriveBy}`);
+    return parts.length > 0 ? parts.join(', ') : 'any time';
+}
+
+module.exports = {
+    parseTimeOfDay,
+    localDate,
+    localTimeOfDay,
+    inWindow,
+    normalizeTimeWindows,
+    matchesLegWindows,
+    describeLegWindows
+};
@@ -0,0 +1,141 @@
+// Who is flying, in which cabin, and what prices refer to.
+//
+// Trip settings:
+//   adults: 2, children: 1, infants: 1   children are 2-11, infants under 2 on an adult's lap
+//   cabin: 'PREMIUM_ECONOMY'              ECONOMY, PREMIUM_ECONOMY, BUSINESS or FIRST (any when unset)
+//   nonStop: true                         only search non-stop flights
+//   maxPrice: 40000                       skip offers above this price
+//   pricesPer: 'person'                   'booking' (default) or 'person'
+//
+// Prices are always the total for the whole booking. With `pricesPer: 'person'`
+// the trip's maxPrice, priceDropThreshold and alert rule amounts are given per
+// seated traveler (adults and children; lap infants pay a small fee of their own)
+// and multiplied up to a booking total; a single rule can set its own `per`.
+// Amadeus reads maxPrice per traveler, so the search gets the booking total as
+// a loose cap and offers are then filtered on their total.
+
+const CABINS = ['ECONOMY', 'PREMIUM_ECONOMY', 'BUSINESS', 'FIRST'];
+const PRICE_BASES = ['booking', 'person'];
+const MAX_SEATED_TRAVELERS = 9; // Amadeus limit per search
+
+const TRAVELER_TYPE_LABELS = {
+    ADULT: 'Adult',
+    CHILD: 'Child',
+    HELD_INFANT: 'Infant',
+    SEATED_INFANT: 'Infant (seat)',
+    SENIOR: 'Senior',
+    YOUNG: 'Young adult',
+    STUDENT: 'Student'
+};
+
+function countField(trip, field, min) {
+    const value = trip[field] === undefined || trip[field] === null ? min : trip[field];
+    if (!(Number.isInteger(value) && value >= min)) {
+        throw new Error(`Trip "${trip.id || trip.name}" has an invalid ${field}: ${trip[field]} (expected a whole number of at least ${min})`);
+    }
+    return value;
+}
+
+// { adults, children, infants, seats, total }
+function normalizeTravelers(trip) {
+    const adults = countField(trip, 'adults', 1);
+    const children = countField(trip, 'children', 0);
+    const infants = countField(trip, 'infants', 0);
+
+    if (infants > adults) {
+        throw new Error(`Trip "${trip.id || trip.name}" has more infants than adults (each infant travels on an adult's lap)`);
+    }
+    if (adults + children > MAX_SEATED_TRAVELERS) {
+        throw new Error(`Trip "${trip.id || trip.name}" has ${adults + children} seated travelers; at most ${MAX_SEATED_TRAVELERS} can be searched together`);
+    }
+
+    return { adults, children, infants, seats: adults + children, total: adults + children + infants };
+}
+
+// Cabin code or null for any cabin; accepts "premium economy" as well as PREMIUM_ECONOMY
+function normalizeCabin(trip) {
+    if (!trip.cabin) return null;
+    const cabin = String(trip.cabin).trim().toUpperCase().replace(/[\s-]+/g, '_');
+    if (!CABINS.includes(cabin)) {
+        throw new Error(`Trip "${trip.id || trip.name}" has an unknown cabin "${trip.cabin}" (expected one of: ${CABINS.join(', ')})`);
+    }
+    return cabin;
+}
+
+function normalizePriceBasis(value, where) {
+    const basis = value || 'booking';
+    if (!PRICE_BASES.includes(basis)) {
+        throw new Error(`${where} has an invalid price basis "${value}" (expected booking or person)`);
+    }
+    return basis;
+}
+
+// A price given per person or per booking, as a booking total
+function toBookingPrice(amount, basis, travelers) {
+    if (amount === null || amount === undefined) return amount;
+    return basis === 'person' ? amount * travelers.seats : amount;
+}
+
+// "2 adults, 1 child, 1 infant"
+function describeTravelers(travelers) {
+    const plural = (count, word, words) => `${count} ${count === 1 ? word : words}`;
+    return [
+        plural(travelers.adults, 'adult', 'adults'),
+        travelers.children > 0 ? plural(travelers.children, 'child', 'children') : null,
+        travelers.infants > 0 ? plural(travelers.infants, 'infant', 'infants') : null
+    ].filter(Boolean).join(', ');
+}
+
+// "Premium Economy"
+function describeCabin(cabin) {
+    return cabin.split('_').map(word => word[0] + word.slice(1).toLowerCase()).join(' ');
+}
+
+// Per-traveler fares from an offer's travelerPricings, one entry per traveler type and price:
+// [{ type, label, count, price }]
+function parseTravelerPrices(offer) {
+    const groups = new Map();
+    for (const pricing of offer.travelerPricings || []) {
+        const price = Math.round(parseFloat(pricing.price.total));
+        const key = `${pricing.travelerType}|${price}`;
+        if (!groups.has(key)) {
+            groups.set(key, {
+                type: pricing.travelerType,
+                label: TRAVELER_TYPE_LABELS[pricing.travelerType] || pricing.travelerType,
+                count: 0,
+                price
+            });
+        }
+        groups.get(key).count += 1;
+    }
+    return [...groups.values()];
+}
+
+// Cabins booked on an offer, e.g. ['PREMIUM_ECONOMY'] or ['ECONOMY', 'BUSINESS']
+function offerCabins(offer) {
+    const cabins = (offer.travelerPricings || [])
+        .flatMap(pricing => pricing.fareDetailsBySegment || [])
+        .map(detail => detail.cabin)
+        .filter(Boolean);
+    return [...new Set(cabins)];
+}
+
+// "2 x Adult Rs 5,400 + 1 x Child Rs 4,100"
+function describeTravelerPrices(travelerPrices) {
+    return travelerPrices
+        .map(({ count, label, price }) => `${count} x ${label} Rs ${price.toLocaleString('en-IN')}`)
+        .join(' + ');
+}
+
+module.exports = {
+    CABINS,
+    normalizeTravelers,
+    normalizeCabin,
+    normalizePriceBasis,
+    toBookingPrice,
+    describeTravelers,
+    describeCabin,
+    parseTravelerPrices,
+    offerCabins,
+    describeTravelerPrices
+};
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { normalizeAlertRules, evaluateAlertRules } = require('../lib/alerts');
+
+const TODAY = '2026-10-19';
+
+function makeTrip(alertRules) {
+    const trip = {
+        id: 'test-trip',
+        alertRules,
+        priceDropThreshold: 300,
+        pricesPer: 'booking',
+        quietHours: null,
+        timezone: 'Asia/Kolkata',
+        travelers: { adults: 1, children: 0, infants: 0, seats: 1, total: 1 }
+    };
+    trip.alertRules = normalizeAlertRules(trip);
+    return trip;
+}
+
+function makeFlight(price) {
+    return { id: '1', airline: 'IndiGo', airlineCode: '6E', carriers: ['6E'], price, outbound: { stops: 0 }, return: { stops: 0 } };
+}
+
+// The daily entry checkTrip seeds from the current run before evaluating rules
+function seedToday(tripHistory, price) {
+    const todayHistory = { date: TODAY, fastest: price, cheapest: price, bestOneStop: null };
+    tripHistory.daily.push(todayHistory);
+    return todayHistory;
+}
+
+test('allTimeLow fires on the first run of a day below the previous low', () => {
+    const trip = makeTrip([{ type: 'allTimeLow' }]);
+    const tripHistory = { daily: [{ date: '2026-10-18', fastest: 8000, cheapest: 8000, bestOneStop: null, lows: { cheapest: 8000 } }] };
+    const flight = makeFlight(5000);
+    const todayHistory = seedToday(tripHistory, flight.price);
+
+    const alerts = evaluateAlertRules({
+        trip,
+        categories: { fastest: flight, cheapest: flight, bestOneStop: null },
+        flights: [flight],
+        tripHistory,
+        todayHistory,
+        today: TODAY
+    });
+
+    assert.strictEqual(alerts.length, 1);
+    assert.strictEqual(alerts[0].type, 'allTimeLow');
+    assert.strictEqual(alerts[0].oldPrice, 8000);
+    assert.strictEqual(alerts[0].newPrice, 5000);
+});
+
+test('allTimeLow still compares against lows recorded earlier today', () => {
+    const trip = makeTrip([{ type: 'allTimeLow' }]);
+    const flight = makeFlight(6000);
+    const tripHistory = { daily: [{ date: TODAY, fastest: 6000, cheapest: 6000, bestOneStop: null, lows: { cheapest: 5000 } }] };
+
+    const alerts = evaluateAlertRules({
+        trip,
+        categories: { fastest: flight, cheapest: flight, bestOneStop: null },
+        flights: [flight],
+        tripHistory,
+        todayHistory: tripHistory.daily[0],
+        today: TODAY
+    });
+
+    assert.strictEqual(alerts.length, 0);
+});
@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { loadWatchlist, checkTrip } = require('../check-flights');
+const { createProvider } = require('../lib/providers');
+const { createNotifier, createSilentNotifier } = require('../lib/notifiers');
+const { normalizeSchedules } = require('../lib/schedules');
+const { emptyHistory } = require('../lib/storage/schema');
+const { normalizeAlertRules } = require('../lib/alerts');
+
+// A daily slot at midnight is always due and within its catch-up window
+const schedules = normalizeSchedules({ daily: { time: '00:00' } }, ['email']);
+
+function setup() {
+    const { trips } = loadWatchlist(path.join(__dirname, '..', 'watchlist.json'));
+    return {
+        trip: trips[0],
+        provider: createProvider('replay'),
+        history: emptyHistory()
+    };
+}
+
+test('a summary with notifications off leaves its slot due', async () => {
+    const { trip, provider, history } = setup();
+
+    const result = await checkTrip(trip, { provider, notifier: createSilentNotifier(), schedules }, history);
+
+    assert.strictEqual(result.summarySent, false);
+    assert.strictEqual((history.trips[trip.id].summaries || {}).daily, undefined);
+});
+
+test('a summary that every channel failed to send leaves its slot due', async () => {
+    const { trip, provider, history } = setup();
+    const notifier = createNotifier({ channels: { hook: { type: 'webhook' } } });
+
+    const result = await checkTrip(trip, { provider, notifier, schedules }, history);
+
+    assert.strictEqual(result.summarySent, false);
+    assert.strictEqual((history.trips[trip.id].summaries || {}).daily, undefined);
+});
+
+test('a delivered summary uses up its slot', async () => {
+    const { trip, provider, history } = setup();
+    const sent = [];
+    const notifier = {
+        send: async message => {
+            sent.push(message);
+            return { delivered: 1, results: [{ channel: 'email', ok: true }] };
+        },
+        channelsFor: () => ['email']
+    };
+
+    const result = await checkTrip(trip, { provider, notifier, schedules }, history);
+
+    assert.strictEqual(result.summarySent, true);
+    assert.strictEqual(sent.length, 1);
+    assert.match(history.trips[trip.id].summaries.daily, /^\d{4}-\d{2}-\d{2}T00:00$/);
+});
+
+test('alerts still fire while a summary is pending', async () => {
+    const { trip, provider, history } = setup();
+    const watched = { ...trip, alertRules: normalizeAlertRules({ ...trip, alertRules: [{ type: 'targetPrice', price: 1000000 }] }) };
+
+    const result = await checkTrip(watched, { provider, notifier: createSilentNotifier(), schedules }, history);
+
+    assert.strictEqual(result.summarySent, false);
+    assert.strictEqual(result.alerts.length, 1);
+    assert.match(result.alerts[0].subject, /^TARGET PRICE REACHED/);
+});
+
+test('a summary no channel takes uses up its slot without counting as sent', async () => {
+    const { trip, provider, history } = setup();
+    const notifier = createNotifier({ channels: { email: { type: 'smtp', user: '', pass: '' } } });
+
+    const result = await checkTrip(trip, { provider, notifier, schedules }, history);
+
+    assert.strictEqual(result.summarySent, false);
+    assert.match(history.trips[trip.id].summaries.daily, /^\d{4}-\d{2}-\d{2}T00:00$/);
+});
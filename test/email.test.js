@@ -0,0 +1,19 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { renderEmail } = require('../lib/email');
+
+const message = { kind: 'health', subject: 'Flight tracker recovered', problem: { type: 'recovered', subject: 'Flight tracker recovered', text: 'Runs are working again.' } };
+const nextCheck = new Date('2025-11-12T04:30:00Z');
+
+test('the footer shows the next check in the message timezone', () => {
+    const { html, text } = renderEmail(message, { nextCheck, timezone: 'Europe/London' });
+
+    assert.match(text, /Next check: 12 Nov, 4:30 am GMT/);
+    assert.match(html, /Next check: 12 Nov, 4:30 am GMT/);
+});
+
+test('the footer falls back to the display timezone', () => {
+    const { text } = renderEmail(message, { nextCheck });
+
+    assert.match(text, /Next check: 12 Nov, 10:00 am IST/);
+});
@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { createNotifier, createSilentNotifier } = require('../lib/notifiers');
+
+const message = { kind: 'text', subject: 'Test', text: 'Hello' };
+
+test('send counts no deliveries when every channel fails', async () => {
+    // A webhook without a url throws before any request is made
+    const notifier = createNotifier({ channels: { hook: { type: 'webhook' }, other: { type: 'webhook' } } });
+
+    const { delivered, results } = await notifier.send(message);
+
+    assert.strictEqual(delivered, 0);
+    assert.deepStrictEqual(results.map(result => result.ok), [false, false]);
+});
+
+test('a skipped email channel is not counted as delivered', async () => {
+    const notifier = createNotifier({ channels: { email: { type: 'smtp', user: '', pass: '' } } });
+
+    const { delivered, results } = await notifier.send(message);
+
+    assert.strictEqual(delivered, 0);
+    assert.strictEqual(results[0].skipped, true);
+});
+
+test('a notifier with no channel for a message neither delivers nor fails', async () => {
+    const notifier = createNotifier({ channels: { hook: { type: 'webhook' } }, routes: { text: [] } });
+
+    const { delivered, results, silent } = await notifier.send(message);
+
+    assert.strictEqual(delivered, 0);
+    assert.deepStrictEqual(results, []);
+    assert.strictEqual(silent, undefined);
+});
+
+test('the silent notifier says it sent nothing on purpose', async () => {
+    const { delivered, silent } = await createSilentNotifier().send(message);
+
+    assert.strictEqual(delivered, 0);
+    assert.strictEqual(silent, true);
+});
+
+test('ntfy sends a non-ASCII title encoded', async () => {
+    const received = [];
+    const server = http.createServer((req, res) => {
+        received.push(req.headers);
+        req.resume();
+        req.on('end', () => res.end('{}'));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    try {
+        const notifier = createNotifier({
+            channels: { push: { type: 'ntfy', server: `http://127.0.0.1:${server.address().port}`, topic: 'flights' } }
+        });
+        const subject = 'Delhi → Goa – ₹8,000 दिल्ली';
+
+        const { delivered } = await notifier.send({ ...message, subject });
+
+        assert.strictEqual(delivered, 1);
+        const [, encoded] = received[0].title.match(/^=\?UTF-8\?B\?(.+)\?=$/);
+        assert.strictEqual(Buffer.from(encoded, 'base64').toString('utf8'), subject);
+    } finally {
+        await new Promise(resolve => server.close(resolve));
+    }
+});
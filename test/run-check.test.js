@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'run-check-'));
+const historyFile = path.join(dir, 'price-history.json');
+process.env.PRICE_HISTORY_FILE = historyFile;
+
+const { loadWatchlist, runCheck } = require('../check-flights');
+const { createProvider } = require('../lib/providers');
+const { normalizeAlertRules } = require('../lib/alerts');
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+function setup() {
+    fs.rmSync(historyFile, { force: true });
+    const watchlist = loadWatchlist(path.join(__dirname, '..', 'watchlist.json'));
+    watchlist.healthSettings = { ...watchlist.healthSettings, alertAfterFailures: 1 };
+    const sent = [];
+    return { watchlist, sent };
+}
+
+test('a run that fails sending its alerts is recorded with the error and reported', async () => {
+    const { watchlist, sent } = setup();
+    const [trip] = watchlist.trips;
+    const watched = { ...trip, alertRules: normalizeAlertRules({ ...trip, alertRules: [{ type: 'targetPrice', price: 1000000 }] }) };
+    const notifier = {
+        send: async message => {
+            if (message.kind === 'alert') throw new Error('mail server gone');
+            sent.push(message);
+            return { delivered: 1, results: [{ channel: 'email', ok: true }] };
+        },
+        channelsFor: () => ['email']
+    };
+
+    const { run } = await runCheck(watchlist, [watched], {}, { provider: createProvider('replay'), notifier });
+
+    assert.strictEqual(run.status, 'failed');
+    assert.strictEqual(run.error, 'mail server gone');
+    const { health } = JSON.parse(fs.readFileSync(historyFile, 'utf8'));
+    assert.strictEqual(health.runs[0].error, 'mail server gone');
+    assert.ok(sent.some(message => message.kind === 'health' && message.problem.text.includes('mail server gone')));
+});
+
+test('a run that cannot read its history is reported without touching the file', async () => {
+    const { watchlist, sent } = setup();
+    fs.writeFileSync(historyFile, '{ not json');
+    const notifier = {
+        send: async message => {
+            sent.push(message);
+            return { delivered: 1, results: [{ channel: 'email', ok: true }] };
+        },
+        channelsFor: () => ['email']
+    };
+
+    const { run } = await runCheck(watchlist, watchlist.trips, {}, { provider: createProvider('replay'), notifier });
+
+    assert.strictEqual(run.status, 'failed');
+    assert.match(run.error, /Could not read price history/);
+    assert.strictEqual(fs.readFileSync(historyFile, 'utf8'), '{ not json');
+    assert.deepStrictEqual(sent.map(message => message.kind), ['health']);
+});
@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { normalizeSchedules, latestSlot, dueSchedules, overdueSchedules, localDate } = require('../lib/schedules');
+
+function schedule(settings) {
+    return normalizeSchedules({ summary: settings })[0];
+}
+
+// 2025-11-12 is a Wednesday; 10:00 in Kolkata is 04:30 UTC
+const daily = schedule({ time: '10:00' });
+
+test('the latest daily slot is today once its time has passed, yesterday before', () => {
+    assert.deepStrictEqual(latestSlot(daily, new Date('2025-11-12T04:30:00Z')), {
+        key: '2025-11-12T10:00',
+        at: new Date('2025-11-12T04:30:00Z')
+    });
+    assert.strictEqual(latestSlot(daily, new Date('2025-11-12T04:29:00Z')).key, '2025-11-11T10:00');
+});
+
+test('weekly and weekday slots skip the days they are not on', () => {
+    const monday = schedule({ days: ['mon'], time: '10:00' });
+    assert.strictEqual(latestSlot(monday, new Date('2025-11-12T06:00:00Z')).key, '2025-11-10T10:00');
+
+    const weekdays = schedule({ days: 'weekdays', time: '10:00' });
+    assert.strictEqual(latestSlot(weekdays, new Date('2025-11-16T06:00:00Z')).key, '2025-11-14T10:00');
+});
+
+test('a slot is due until catchUpHours after its time', () => {
+    const short = schedule({ time: '10:00', catchUpHours: 2 });
+
+    assert.strictEqual(dueSchedules([short], {}, new Date('2025-11-12T06:30:00Z')).length, 1);
+    assert.strictEqual(dueSchedules([short], {}, new Date('2025-11-12T06:31:00Z')).length, 0);
+});
+
+test('a missed weekly slot is caught up only within catchUpHours', () => {
+    const now = new Date('2025-11-12T06:00:00Z');
+
+    assert.strictEqual(dueSchedules([schedule({ days: ['mon'] })], {}, now).length, 0);
+    const [due] = dueSchedules([schedule({ days: ['mon'], catchUpHours: 72 })], {}, now);
+    assert.strictEqual(due.slot.key, '2025-11-10T10:00');
+});
+
+test('a slot already sent is not due again', () => {
+    const now = new Date('2025-11-12T05:00:00Z');
+
+    assert.strictEqual(dueSchedules([daily], { summary: '2025-11-12T10:00' }, now).length, 0);
+    assert.strictEqual(dueSchedules([daily], { summary: '2025-11-11T10:00' }, now).length, 1);
+});
+
+test('a slot is overdue after the grace period until some trip sends it', () => {
+    assert.strictEqual(overdueSchedules([daily], [{}], 2, new Date('2025-11-12T06:30:00Z')).length, 0);
+    assert.strictEqual(overdueSchedules([daily], [{}], 2, new Date('2025-11-12T06:31:00Z')).length, 1);
+    assert.strictEqual(overdueSchedules([daily], [{}, { summary: '2025-11-12T10:00' }], 2, new Date('2025-11-12T06:31:00Z')).length, 0);
+});
+
+test('slots follow the schedule timezone across a DST change', () => {
+    // London moves to BST (UTC+1) at 01:00 UTC on 2025-03-30
+    const london = schedule({ time: '09:00', timezone: 'Europe/London' });
+
+    assert.deepStrictEqual(latestSlot(london, new Date('2025-03-29T09:00:00Z')).at, new Date('2025-03-29T09:00:00Z'));
+    assert.strictEqual(latestSlot(london, new Date('2025-03-30T07:59:00Z')).key, '2025-03-29T09:00');
+    assert.deepStrictEqual(latestSlot(london, new Date('2025-03-30T08:00:00Z')), {
+        key: '2025-03-30T09:00',
+        at: new Date('2025-03-30T08:00:00Z')
+    });
+
+    // New York goes back to EST (UTC-5) at 06:00 UTC on 2025-11-02
+    const newYork = schedule({ time: '07:00', timezone: 'America/New_York', catchUpHours: 1 });
+    assert.strictEqual(dueSchedules([newYork], {}, new Date('2025-11-01T11:30:00Z')).length, 1);
+    assert.strictEqual(dueSchedules([newYork], {}, new Date('2025-11-02T11:30:00Z')).length, 0);
+    assert.strictEqual(dueSchedules([newYork], {}, new Date('2025-11-02T12:30:00Z')).length, 1);
+});
+
+test('local dates roll over at midnight in the timezone, not UTC', () => {
+    const now = new Date('2025-11-12T20:00:00Z');
+
+    assert.strictEqual(localDate('Asia/Kolkata', now), '2025-11-13');
+    assert.strictEqual(localDate('America/New_York', now), '2025-11-12');
+});
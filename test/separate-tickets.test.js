@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { loadWatchlist, checkTrip } = require('../check-flights');
+const { createProvider } = require('../lib/providers');
+const { createSilentNotifier } = require('../lib/notifiers');
+const { emptyHistory } = require('../lib/storage/schema');
+const { recordDailyLows } = require('../lib/alerts');
+const { normalizeScoring, rankFlights } = require('../lib/scoring');
+
+function loadTrip() {
+    const { trips } = loadWatchlist(path.join(__dirname, '..', 'watchlist.json'));
+    return trips[0];
+}
+
+// A mixed-carrier separate-ticket pair from the replayed searches
+async function findPair(trip, provider) {
+    const result = await checkTrip(trip, { provider, notifier: createSilentNotifier() }, emptyHistory(), { summary: false });
+    const pair = result.offers.find(flight => flight.separateTickets && flight.carriers.length > 1);
+    assert.ok(pair, 'the fixtures should pair two airlines');
+    return pair;
+}
+
+test('a held separate-ticket alert is released with its stored fare', async () => {
+    const trip = loadTrip();
+    const provider = createProvider('replay');
+    const { offer, offers, ...stored } = await findPair(trip, provider);
+
+    const history = emptyHistory();
+    history.trips[trip.id] = {
+        daily: [],
+        heldAlerts: [{
+            key: 'held-1|cheapest',
+            ruleId: 'held-1',
+            type: 'drop',
+            subject: 'cheapest',
+            category: 'Cheapest',
+            flight: stored,
+            oldPrice: stored.price + 1000,
+            newPrice: stored.price,
+            referenceLabel: 'yesterday',
+            heldAt: new Date().toISOString()
+        }]
+    };
+
+    const result = await checkTrip(trip, { provider, notifier: createSilentNotifier() }, history, { summary: false });
+
+    assert.strictEqual(history.trips[trip.id].heldAlerts.length, 0);
+    assert.ok(result.alerts.length >= 1);
+    assert.strictEqual(stored.fare.refundableSource, 'estimate');
+});
+
+test('a separate-ticket pair counts towards every carrier it flies', async () => {
+    const trip = loadTrip();
+    const pair = await findPair(trip, createProvider('replay'));
+    const todayHistory = { date: '2025-11-01' };
+
+    recordDailyLows(todayHistory, {}, [pair]);
+
+    for (const code of pair.carriers) {
+        assert.strictEqual(todayHistory.lows[`airline:${code}`], pair.price);
+    }
+    assert.strictEqual(todayHistory.lows[`airline:${pair.airlineCode}`], undefined);
+});
+
+test('preferred and avoided airlines match any carrier of a pair', async () => {
+    const trip = loadTrip();
+    const pair = await findPair(trip, createProvider('replay'));
+    const [first, second] = pair.carriers;
+
+    const [preferred] = rankFlights([pair], normalizeScoring({ id: trip.id, scoring: { preferredAirlines: [second] } }));
+    assert.strictEqual(preferred.factors.airline.good, true);
+
+    const [avoided] = rankFlights([pair], normalizeScoring({ id: trip.id, scoring: { avoidAirlines: [first] } }));
+    assert.strictEqual(avoided.factors.airline.penalty, 1);
+});
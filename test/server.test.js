@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { createApiServer } = require('../lib/server');
+
+// Raw request so oversized and malformed inputs reach the server unchanged
+function request(port, { method = 'GET', path, body = null }) {
+    return new Promise((resolve, reject) => {
+        const req = http.request({ host: '127.0.0.1', port, method, path }, response => {
+            let data = '';
+            response.on('data', chunk => { data += chunk; });
+            response.on('end', () => resolve({ status: response.statusCode, body: JSON.parse(data) }));
+        });
+        req.on('error', reject);
+        if (body) req.write(body);
+        req.end();
+    });
+}
+
+async function startServer() {
+    const server = createApiServer({
+        trips: [],
+        runCheck: async () => ({ run: { status: 'ok' }, results: [] }),
+        loadHistory: () => ({ trips: {} }),
+        intervalMinutes: 60 * 24
+    });
+    const { port } = await server.listen(0, '127.0.0.1');
+    return { server, port };
+}
+
+test('a malformed path is a 400, not a server error', async () => {
+    const { server, port } = await startServer();
+    try {
+        const response = await request(port, { path: '/trips/%E0' });
+        assert.strictEqual(response.status, 400);
+        assert.match(response.body.error, /Malformed path/);
+    } finally {
+        await server.close();
+    }
+});
+
+test('an oversized body gets a 413 response', async () => {
+    const { server, port } = await startServer();
+    try {
+        const response = await request(port, { method: 'POST', path: '/check', body: `{"trips": "${'x'.repeat(200 * 1024)}"}` });
+        assert.strictEqual(response.status, 413);
+        assert.strictEqual(response.body.error, 'Request body too large');
+    } finally {
+        await server.close();
+    }
+});
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStorage } = require('../lib/storage');
+
+let hasSqlite = true;
+try {
+    require.resolve('better-sqlite3');
+} catch (error) {
+    hasSqlite = false;
+}
+const skip = hasSqlite ? false : 'better-sqlite3 is not installed';
+
+function tempDir() {
+    return fs.mkdtempSync(path.join(os.tmpdir(), 'flight-tracker-'));
+}
+
+const history = {
+    version: 1,
+    lastCheck: '2026-10-19T04:30:00.000Z',
+    health: { consecutiveFailures: 0, runs: [] },
+    trips: {
+        'del-goi': {
+            lastCheck: '2026-10-19T04:30:00.000Z',
+            daily: [
+                { date: '2026-10-18', fastest: 9800, cheapest: 8400, bestOneStop: null },
+                { date: '2026-10-19', fastest: 9600, cheapest: 8200, bestOneStop: 8900 }
+            ],
+            alerts: []
+        }
+    }
+};
+
+test('sqlite backend saves and loads the history', { skip }, async () => {
+    const dir = tempDir();
+    const file = path.join(dir, 'history.db');
+    const storage = createStorage('sqlite', { file, importFile: path.join(dir, 'none.json') });
+    try {
+        assert.deepStrictEqual(storage.load().trips, {});
+        await storage.withLock(() => storage.save(history));
+        storage.close();
+        const reopened = createStorage('sqlite', { file });
+        assert.deepStrictEqual(reopened.load(), history);
+        reopened.close();
+    } finally {
+        storage.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('sqlite backend imports the JSON history into an empty database', { skip }, () => {
+    const dir = tempDir();
+    const importFile = path.join(dir, 'price-history.json');
+    fs.writeFileSync(importFile, JSON.stringify(history));
+    const storage = createStorage('sqlite', { file: path.join(dir, 'history.db'), importFile });
+    try {
+        assert.deepStrictEqual(storage.load(), history);
+    } finally {
+        storage.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});